@@ -32,9 +32,16 @@ class ProductionSteemBridge {
         this.cache = {
             dynamic_global_properties: { data: null, timestamp: 0, ttl: 5000 }, // 5 second cache
             block_header: { data: null, timestamp: 0, ttl: 3000 }, // 3 second cache
-            block: { data: null, timestamp: 0, ttl: 5000 } // 5 second cache
+            block: { data: null, timestamp: 0, ttl: 5000 }, // 5 second cache
+            ops_in_block: { data: null, timestamp: 0, ttl: 5000 }, // Last block's ops, see deliverBlockOps
+            active_witnesses: { data: null, timestamp: 0, ttl: 30000 } // 30 second cache
         };
         
+        // Block follower - sends the virtual ops of every head block once, in order
+        this.blockPollInterval = 3000; // Steem produces a block every 3 seconds
+        this.maxBlocksPerPoll = 5; // Catch-up limit per poll
+        this.blockFollower = { lastBlock: 0, intervalId: null, busy: false };
+        
         console.log(`🚀 Production Steem Bridge starting...`);
         console.log(`🌐 Domain: ${this.domain}`);
         console.log(`🔗 API endpoint: ${this.apiEndpoint}`);
@@ -60,6 +67,19 @@ class ProductionSteemBridge {
                 params: [null],
                 interval: 12000, // 12 seconds (much less frequent for full blocks)
                 processor: this.processBlock.bind(this)
+            },
+            ops_in_block: {
+                method: 'condenser_api.get_ops_in_block',
+                params: [null, true], // Virtual operations only
+                interval: 3000, // Every block, driven by the block follower
+                follower: true,
+                processor: this.processOpsInBlock.bind(this)
+            },
+            active_witnesses: {
+                method: 'condenser_api.get_active_witnesses',
+                params: [],
+                interval: 60000, // 60 seconds
+                processor: this.processActiveWitnesses.bind(this)
             }
         };
         
@@ -241,17 +261,22 @@ class ProductionSteemBridge {
                 this.getAPIStats(ws);
                 break;
                 
+            case 'get_transaction':
+                this.getTransaction(data.transaction_id, ws);
+                break;
+                
             default:
                 ws.send(JSON.stringify({
                     type: 'error',
                     message: `Unknown message type: ${data.type}`,
-                    available_types: ['start_stream', 'stop_stream', 'get_current_block', 'get_api_stats']
+                    available_types: ['start_stream', 'stop_stream', 'get_current_block', 'get_api_stats', 'get_transaction']
                 }));
         }
     }
     
     startStream(streamName, customParams, requestingClient) {
-        if (!this.apiMethods[streamName]) {
+        // Own keys only - a client-supplied '__proto__' or 'constructor' is not a stream
+        if (!Object.prototype.hasOwnProperty.call(this.apiMethods, streamName)) {
             requestingClient.send(JSON.stringify({
                 type: 'error',
                 message: `Unknown stream: ${streamName}. Available: ${Object.keys(this.apiMethods).join(', ')}`
@@ -262,9 +287,9 @@ class ProductionSteemBridge {
         const config = { ...this.apiMethods[streamName] };
         
         if (!this.activeStreams.has(streamName)) {
-            console.log(`🚀 Starting optimized ${streamName} stream (${config.interval}ms interval)`);
+            console.log(`🚀 Starting optimized ${streamName} stream (${config.follower ? 'every block' : config.interval + 'ms interval'})`);
             
-            const intervalId = setInterval(async () => {
+            const intervalId = config.follower ? null : setInterval(async () => {
                 await this.fetchAndBroadcastOptimized(streamName, config);
             }, config.interval);
             
@@ -275,8 +300,12 @@ class ProductionSteemBridge {
                 requestCount: 0
             });
             
-            // Send initial data immediately
-            this.fetchAndBroadcastOptimized(streamName, config);
+            if (config.follower) {
+                this.startBlockFollower();
+            } else {
+                // Send initial data immediately
+                this.fetchAndBroadcastOptimized(streamName, config);
+            }
         }
         
         requestingClient.send(JSON.stringify({
@@ -293,6 +322,7 @@ class ProductionSteemBridge {
             const stream = this.activeStreams.get(streamName);
             clearInterval(stream.intervalId);
             this.activeStreams.delete(streamName);
+            if (stream.config.follower) this.stopBlockFollower();
             
             console.log(`⏹️ Stopped ${streamName} stream (saved ${stream.requestCount} API calls)`);
             
@@ -383,6 +413,88 @@ class ProductionSteemBridge {
         }
     }
     
+    startBlockFollower() {
+        const follower = this.blockFollower;
+        if (follower.intervalId) return;
+        
+        console.log(`🧱 Starting block follower (${this.blockPollInterval}ms poll)`);
+        follower.intervalId = setInterval(() => this.followBlocks(), this.blockPollInterval);
+        this.followBlocks();
+    }
+    
+    stopBlockFollower() {
+        const follower = this.blockFollower;
+        if (!follower.intervalId) return;
+        
+        clearInterval(follower.intervalId);
+        follower.intervalId = null;
+        // Start again from the tip next time rather than replaying the gap
+        follower.lastBlock = 0;
+        console.log('⏹️ Stopped block follower');
+    }
+    
+    // Fetch the virtual ops of every block after the last delivered one, in order, up to the head block
+    async followBlocks() {
+        const follower = this.blockFollower;
+        if (follower.busy) return;
+        follower.busy = true;
+        
+        try {
+            // Only ask for a new head block once we've caught up with the last one
+            if (!follower.lastBlock || follower.lastBlock >= this.currentBlock) {
+                const globalProps = await this.queueAPICall('condenser_api.get_dynamic_global_properties', []);
+                if (globalProps.result) this.processDynamicGlobalProperties(globalProps.result);
+            }
+            if (!this.currentBlock) return;
+            if (!follower.lastBlock) follower.lastBlock = this.currentBlock - 1;
+            
+            for (let i = 0; i < this.maxBlocksPerPoll && follower.intervalId && follower.lastBlock < this.currentBlock; i++) {
+                const blockNum = follower.lastBlock + 1;
+                const response = await this.queueAPICall('condenser_api.get_ops_in_block', [blockNum, true]);
+                
+                // Follower stopped while the call was in flight
+                if (!follower.intervalId) break;
+                if (response.error) throw new Error(response.error.message);
+                
+                follower.lastBlock = blockNum;
+                this.deliverBlockOps(blockNum, this.processOpsInBlock(response.result || []));
+            }
+        } catch (error) {
+            console.error(`Block follower error at ${follower.lastBlock + 1}:`, error.message);
+            this.broadcast({
+                type: 'fetch_error',
+                stream: 'ops_in_block',
+                block_number: follower.lastBlock + 1,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        } finally {
+            follower.busy = false;
+        }
+    }
+    
+    deliverBlockOps(blockNum, ops) {
+        this.cache.ops_in_block = {
+            data: ops,
+            timestamp: Date.now(),
+            ttl: this.cache.ops_in_block.ttl
+        };
+        
+        if (this.activeStreams.has('ops_in_block')) {
+            this.activeStreams.get('ops_in_block').requestCount++;
+        }
+        
+        this.broadcast({
+            type: 'live_data',
+            stream: 'ops_in_block',
+            block_number: blockNum,
+            data: ops,
+            cached: false,
+            api_optimized: true,
+            timestamp: new Date().toISOString()
+        });
+    }
+    
     // Queued API call to manage request rate
     queueAPICall(method, params) {
         return new Promise((resolve, reject) => {
@@ -409,6 +521,57 @@ class ProductionSteemBridge {
         return result;
     }
     
+    processOpsInBlock(result) {
+        return result;
+    }
+    
+    processActiveWitnesses(result) {
+        return result;
+    }
+    
+    // On-demand transaction lookup - the result only goes to the requesting client
+    async getTransaction(transactionId, requestingClient) {
+        if (typeof transactionId !== 'string' || !/^[0-9a-f]{40}$/i.test(transactionId)) {
+            requestingClient.send(JSON.stringify({
+                type: 'error',
+                message: 'transaction_id must be a 40 character hex string'
+            }));
+            return;
+        }
+        
+        try {
+            const response = await this.queueAPICall('condenser_api.get_transaction', [transactionId.toLowerCase()]);
+            
+            if (requestingClient.readyState !== WebSocket.OPEN) return;
+            
+            if (response.error) {
+                requestingClient.send(JSON.stringify({
+                    type: 'error',
+                    transaction_id: transactionId,
+                    error: response.error.message,
+                    timestamp: new Date().toISOString()
+                }));
+                return;
+            }
+            
+            requestingClient.send(JSON.stringify({
+                type: 'transaction',
+                transaction_id: transactionId,
+                data: response.result || null,
+                timestamp: new Date().toISOString()
+            }));
+        } catch (error) {
+            if (requestingClient.readyState !== WebSocket.OPEN) return;
+            
+            requestingClient.send(JSON.stringify({
+                type: 'error',
+                transaction_id: transactionId,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            }));
+        }
+    }
+    
     getCurrentBlock(requestingClient) {
         requestingClient.send(JSON.stringify({
             type: 'current_block',
@@ -437,6 +600,7 @@ class ProductionSteemBridge {
             console.log(`  Stopped ${streamName} (saved ${stream.requestCount} requests)`);
         });
         this.activeStreams.clear();
+        this.stopBlockFollower();
     }
     
     async makeAPICall(method, params) {
@@ -591,6 +755,26 @@ class ProductionSteemBridge {
                 <button class="btn-danger" onclick="stopStream('block')">Stop</button>
             </div>
             
+            <div class="control-group">
+                <h4>⚙️ Virtual Operations</h4>
+                <p><small>get_ops_in_block for every block, in order</small></p>
+                <button class="btn-success" onclick="startStream('ops_in_block')">Start Stream</button>
+                <button class="btn-danger" onclick="stopStream('ops_in_block')">Stop</button>
+            </div>
+            
+            <div class="control-group">
+                <h4>👥 Active Witnesses</h4>
+                <p><small>Active witness list (60s interval)</small></p>
+                <button class="btn-success" onclick="startStream('active_witnesses')">Start Stream</button>
+                <button class="btn-danger" onclick="stopStream('active_witnesses')">Stop</button>
+            </div>
+            
+            <div class="control-group">
+                <h4>🔍 Transaction Lookup</h4>
+                <input id="transactionId" placeholder="Transaction ID" style="width: 90%; padding: 8px;">
+                <button class="btn-primary" onclick="getTransaction()">Look Up</button>
+            </div>
+            
             <div class="control-group">
                 <h4>🔧 Controls & Stats</h4>
                 <button class="btn-primary" onclick="connect()">Connect</button>
@@ -661,6 +845,15 @@ class ProductionSteemBridge {
             }
         }
         
+        function getTransaction() {
+            if (ws && ws.readyState === WebSocket.OPEN) {
+                ws.send(JSON.stringify({
+                    type: 'get_transaction',
+                    transaction_id: document.getElementById('transactionId').value.trim()
+                }));
+            }
+        }
+        
         function getStats() {
             if (ws && ws.readyState === WebSocket.OPEN) {
                 ws.send(JSON.stringify({
@@ -682,6 +875,11 @@ class ProductionSteemBridge {
                     handleLiveData(data);
                     break;
                     
+                case 'transaction':
+                    var opCount = data.data && data.data.operations ? data.data.operations.length : 0;
+                    addToFeed('🔍 Transaction ' + data.transaction_id + ' in block ' + (data.data ? data.data.block_num : '?') + ' (' + opCount + ' ops)', 'info');
+                    break;
+                    
                 case 'current_block':
                     addToFeed('📦 Current block: ' + data.block_number, 'info');
                     document.getElementById('currentBlock').textContent = data.block_number;
@@ -724,6 +922,10 @@ class ProductionSteemBridge {
             } else if (data.stream === 'block') {
                 var txCount = data.data.transactions ? data.data.transactions.length : 0;
                 summary = 'Full block with ' + txCount + ' transactions' + cacheInfo;
+            } else if (data.stream === 'ops_in_block') {
+                summary = data.data.length + ' virtual ops in block #' + data.block_number + cacheInfo;
+            } else if (data.stream === 'active_witnesses') {
+                summary = data.data.length + ' active witnesses' + cacheInfo;
             }
             
             addToFeed('📊 ' + data.stream.toUpperCase() + ': ' + summary, cssClass);
@@ -1,6 +1,122 @@
 const WebSocket = require('ws');
 const https = require('https');
 const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const crypto = require('crypto');
+
+// Read-only methods clients may call through the 'rpc' message
+const RPC_ALLOWLIST = new Set([
+    // condenser_api
+    'condenser_api.get_account_count',
+    'condenser_api.get_account_history',
+    'condenser_api.get_account_reputations',
+    'condenser_api.get_accounts',
+    'condenser_api.get_active_votes',
+    'condenser_api.get_active_witnesses',
+    'condenser_api.get_block',
+    'condenser_api.get_block_header',
+    'condenser_api.get_blog',
+    'condenser_api.get_blog_entries',
+    'condenser_api.get_chain_properties',
+    'condenser_api.get_config',
+    'condenser_api.get_content',
+    'condenser_api.get_content_replies',
+    'condenser_api.get_conversion_requests',
+    'condenser_api.get_current_median_history_price',
+    'condenser_api.get_discussions_by_active',
+    'condenser_api.get_discussions_by_author_before_date',
+    'condenser_api.get_discussions_by_blog',
+    'condenser_api.get_discussions_by_cashout',
+    'condenser_api.get_discussions_by_children',
+    'condenser_api.get_discussions_by_comments',
+    'condenser_api.get_discussions_by_created',
+    'condenser_api.get_discussions_by_feed',
+    'condenser_api.get_discussions_by_hot',
+    'condenser_api.get_discussions_by_trending',
+    'condenser_api.get_discussions_by_votes',
+    'condenser_api.get_dynamic_global_properties',
+    'condenser_api.get_escrow',
+    'condenser_api.get_expiring_vesting_delegations',
+    'condenser_api.get_feed',
+    'condenser_api.get_feed_entries',
+    'condenser_api.get_feed_history',
+    'condenser_api.get_follow_count',
+    'condenser_api.get_followers',
+    'condenser_api.get_following',
+    'condenser_api.get_hardfork_version',
+    'condenser_api.get_market_history',
+    'condenser_api.get_market_history_buckets',
+    'condenser_api.get_next_scheduled_hardfork',
+    'condenser_api.get_open_orders',
+    'condenser_api.get_ops_in_block',
+    'condenser_api.get_order_book',
+    'condenser_api.get_owner_history',
+    'condenser_api.get_reblogged_by',
+    'condenser_api.get_recent_trades',
+    'condenser_api.get_replies_by_last_update',
+    'condenser_api.get_reward_fund',
+    'condenser_api.get_savings_withdraw_from',
+    'condenser_api.get_savings_withdraw_to',
+    'condenser_api.get_state',
+    'condenser_api.get_tags_used_by_author',
+    'condenser_api.get_ticker',
+    'condenser_api.get_trade_history',
+    'condenser_api.get_transaction',
+    'condenser_api.get_transaction_hex',
+    'condenser_api.get_trending_tags',
+    'condenser_api.get_version',
+    'condenser_api.get_vesting_delegations',
+    'condenser_api.get_volume',
+    'condenser_api.get_withdraw_routes',
+    'condenser_api.get_witness_by_account',
+    'condenser_api.get_witness_count',
+    'condenser_api.get_witness_schedule',
+    'condenser_api.get_witnesses',
+    'condenser_api.get_witnesses_by_vote',
+    'condenser_api.lookup_account_names',
+    'condenser_api.lookup_accounts',
+    'condenser_api.lookup_witness_accounts',
+    // database_api
+    'database_api.find_accounts',
+    'database_api.find_comments',
+    'database_api.find_escrows',
+    'database_api.find_limit_orders',
+    'database_api.find_savings_withdrawals',
+    'database_api.find_vesting_delegations',
+    'database_api.find_votes',
+    'database_api.find_witnesses',
+    'database_api.get_active_witnesses',
+    'database_api.get_config',
+    'database_api.get_current_price_feed',
+    'database_api.get_dynamic_global_properties',
+    'database_api.get_feed_history',
+    'database_api.get_hardfork_properties',
+    'database_api.get_order_book',
+    'database_api.get_reward_funds',
+    'database_api.get_witness_schedule',
+    'database_api.list_accounts',
+    'database_api.list_comments',
+    'database_api.list_escrows',
+    'database_api.list_limit_orders',
+    'database_api.list_vesting_delegations',
+    'database_api.list_votes',
+    'database_api.list_witness_votes',
+    'database_api.list_witnesses'
+]);
+
+// Operation fields that name an account, used to match operations against account filters
+const OPERATION_ACCOUNT_FIELDS = [
+    'account', 'account_to_recover', 'agent', 'author', 'benefactor', 'challenged', 'challenger',
+    'comment_author', 'creator', 'curator', 'current_owner', 'delegatee', 'delegator', 'from',
+    'from_account', 'new_account_name', 'new_recovery_account', 'open_owner', 'owner', 'parent_author',
+    'producer', 'proxy', 'publisher', 'receiver', 'recovery_account', 'reset_account', 'to', 'to_account',
+    'voter', 'who', 'witness'
+];
+const MAX_FILTER_ENTRIES = 100; // Per list in an operation filter
+const ACCOUNT_NAME_PATTERN = /^[a-z][a-z0-9.-]{2,15}$/;
+const BLOCK_INTERVAL_MS = 3000; // One block slot
 
 /**
  * Production Steem WebSocket Bridge
@@ -16,36 +132,119 @@ class ProductionSteemBridge {
         this.apiEndpoint = process.env.STEEM_API_ENDPOINT || 'api.steemit.com';
         
         // Reliable Steem nodes as fallback options
-        this.steemNodes = [
-            'api.steemit.com',
-            'steemd.steemworld.org', 
-            'api.moecki.online'
-        ];
+        this.steemNodes = process.env.STEEM_NODES
+            ? process.env.STEEM_NODES.split(',').map(node => node.trim()).filter(Boolean)
+            : [
+                'api.steemit.com',
+                'steemd.steemworld.org', 
+                'api.moecki.online'
+            ];
+        
+        // Node pool - every node is health-scored and traffic goes to the healthiest one
+        this.nodeHealthInterval = 60000; // Probe idle nodes once a minute
+        this.nodeRequestTimeout = 15000; // 15 second timeout per node
+        this.nodePool = [this.apiEndpoint, ...this.steemNodes]
+            .filter((host, index, hosts) => hosts.indexOf(host) === index)
+            .map(host => this.createNodeState(host));
+        this.activeNode = this.apiEndpoint;
         
         // State management
         this.clients = new Set();
+        this.httpClients = new Set(); // SSE and long-poll consumers, see createHTTPClient
+        this.rpcSubscribers = new Map(); // ws -> client carrying that socket's JSON-RPC subscriptions
+        this.rpcSubscriberCalls = 0; // Correlates replies captured for JSON-RPC subscribe calls
+        this.pollSessions = new Map(); // session id -> long-poll session
+        this.pollSessionTTL = 60000; // Drop long-poll subscriptions not polled for this long
+        this.maxPollQueue = 1000; // Events buffered per long-poll session between polls
+        this.maxSSEBufferBytes = 4 * 1024 * 1024; // Unsent bytes before a slow SSE client is dropped
+        this.maxRPCBodyBytes = 1024 * 1024; // JSON-RPC HTTP request body limit
+        this.maxRPCBatch = 20; // Calls per JSON-RPC batch
         this.currentBlock = 0;
+        this.lastIrreversibleBlock = 0;
         this.activeStreams = new Map();
+        this.clientSubscriptions = new Map(); // ws -> Set of subscribed stream names
+        
+        // Account activity - served from the head block follower, so watched accounts cost no extra calls
+        this.accountWatchers = new Map(); // account -> Set of ws watching it
+        this.clientAccounts = new Map(); // ws -> Set of watched accounts
+        this.maxAccountsPerClient = parseInt(process.env.MAX_ACCOUNTS_PER_CLIENT, 10) || 50;
+        
+        // Relayed transactions awaiting inclusion/irreversibility, keyed by their first signature
+        // (the transaction id can't be computed without the binary serializer)
+        this.pendingBroadcasts = new Map();
+        this.maxBroadcastsPerClient = 20;
+        
+        // Block followers - deliver every block exactly once, in order
+        // 'head' follows head_block_number, 'irreversible' follows last_irreversible_block_num
+        this.blockFollowers = {
+            block: this.createBlockFollower('block', 'head'),
+            irreversible_block: this.createBlockFollower('irreversible_block', 'irreversible')
+        };
+        this.blockPollInterval = 3000; // Steem produces a block every 3 seconds
+        this.maxBlocksPerPoll = 20; // Catch-up batch size per poll
+        this.maxReplayBlocks = 1200; // Furthest a reconnecting client can rewind with from_block (~1 hour)
+        this.forkWindow = 50; // Delivered head block ids kept for fork detection - well past the irreversibility lag
+        
+        // Rolling chain metrics, computed from head blocks the follower already fetches
+        this.chainMetrics = {
+            blocks: [], // Per-block records for the last hour
+            minutes: new Map() // Minute (chain time) -> totals, for the last 24 hours
+        };
+        
+        // Witness schedule and missed-block tracking, active while witness_schedule is streamed
+        this.witnessTracker = {
+            schedule: [], // current_shuffled_witnesses
+            numScheduled: 0,
+            slotReference: null, // { aslot, time } from dynamic global properties - slots are time based
+            lastBlock: null, // { blockNum, time } of the last head block counted
+            trackedFromBlock: null,
+            refreshing: false,
+            witnesses: new Map() // witness -> { produced, missed, lastBlock, lastMissed }
+        };
         
         // API pressure reduction - intelligent request management
         this.requestCount = 0;
-        this.lastRequestTime = 0;
-        this.requestDelay = 1000; // 1 second between requests minimum
-        this.maxRequestsPerMinute = 60; // Reduced from unlimited to 60/minute
-        this.requestQueue = [];
+        this.maxRequestsPerMinute = parseInt(process.env.MAX_REQUESTS_PER_MINUTE, 10) || 60; // Per node budget
+        this.rateLimitBurst = 10; // Token bucket capacity per node
+        this.shedRequestCount = 0;
         this.isProcessingQueue = false;
+        this.pendingCalls = new Map(); // method+params -> queued or in-flight call shared by identical requests
+        this.coalescedRequestCount = 0;
+        
+        // Priority lanes, served strictly in this order
+        // maxDepth: queued requests before new work is rejected
+        // sheddable: queued work may be dropped when every node is out of rate budget, lowest lane first
+        this.requestLanes = {
+            chain_head: this.createRequestLane(10, false), // get_dynamic_global_properties refreshes
+            stream: this.createRequestLane(100, false), // Block follower and stream polling
+            client: this.createRequestLane(50, true), // On-demand client RPC
+            backfill: this.createRequestLane(200, true) // Historical catch-up; a shed replay ends with replay_error
+        };
         
-        // Smart caching to reduce API calls
-        this.cache = {
-            dynamic_global_properties: { data: null, timestamp: 0, ttl: 5000 }, // 5 second cache
-            block_header: { data: null, timestamp: 0, ttl: 3000 }, // 3 second cache
-            block: { data: null, timestamp: 0, ttl: 5000 } // 5 second cache
+        // Smart caching to reduce API calls - LRU keyed by method + params
+        // Irreversible blocks, headers and ops never expire; head-dependent data keeps a short TTL
+        this.cache = new Map();
+        this.cacheMaxEntries = parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 5000;
+        this.cacheMaxBytes = (parseInt(process.env.CACHE_MAX_MB, 10) || 64) * 1024 * 1024;
+        this.cacheBytes = 0;
+        this.cacheStats = { hits: 0, misses: 0, evictions: 0 };
+        this.defaultCacheTTL = 3000; // One block
+        this.cacheTTLs = {
+            'condenser_api.get_dynamic_global_properties': 3000, // 3 second cache
+            'condenser_api.get_active_witnesses': 30000, // 30 second cache
+            'condenser_api.get_current_median_history_price': 55000, // Feeds publish at most hourly; just under the stream interval
+            'condenser_api.get_feed_history': 60000,
+            'condenser_api.get_ticker': 8000, // Internal market moves at most once per block
+            'condenser_api.get_order_book': 5000
         };
         
+        // Optional on-disk store for irreversible blocks and virtual ops (enabled by BLOCK_STORE_DIR)
+        this.blockStore = this.createBlockStore();
+        
         console.log(`🚀 Production Steem Bridge starting...`);
         console.log(`🌐 Domain: ${this.domain}`);
         console.log(`🔗 API endpoint: ${this.apiEndpoint}`);
-        console.log(`⚡ API optimization: Enabled (${this.maxRequestsPerMinute}/min max)`);
+        console.log(`⚡ API optimization: Enabled (${this.maxRequestsPerMinute}/min max per node)`);
         console.log(`💾 Smart caching: Enabled`);
         
         // API methods with optimized intervals
@@ -65,20 +264,98 @@ class ProductionSteemBridge {
             block: {
                 method: 'condenser_api.get_block',
                 params: [null],
-                interval: 12000, // 12 seconds (much less frequent for full blocks)
+                interval: 3000, // Follows every block (3 seconds)
+                follower: 'block', // Driven by the head block follower instead of its own interval
+                processor: this.processBlock.bind(this)
+            },
+            irreversible_block: {
+                method: 'condenser_api.get_block',
+                params: [null],
+                interval: 3000, // Follows last_irreversible_block_num
+                follower: 'irreversible_block', // Only final blocks
                 processor: this.processBlock.bind(this)
+            },
+            ops_in_block: {
+                method: 'condenser_api.get_ops_in_block',
+                params: [null, true], // Virtual operations only
+                interval: 3000, // Fetched for every block the head follower delivers
+                follower: 'block',
+                processor: this.processOpsInBlock.bind(this)
+            },
+            active_witnesses: {
+                method: 'condenser_api.get_active_witnesses',
+                params: [],
+                interval: 60000, // 60 seconds
+                processor: this.processActiveWitnesses.bind(this)
+            },
+            median_history_price: {
+                method: 'condenser_api.get_current_median_history_price',
+                params: [],
+                interval: 60000, // 60 seconds
+                processor: this.processMarketData.bind(this)
+            },
+            feed_history: {
+                method: 'condenser_api.get_feed_history',
+                params: [],
+                interval: 300000, // 5 minutes
+                processor: this.processMarketData.bind(this)
+            },
+            ticker: {
+                method: 'condenser_api.get_ticker',
+                params: [],
+                interval: 9000, // 9 seconds
+                processor: this.processMarketData.bind(this)
+            },
+            order_book: {
+                method: 'condenser_api.get_order_book',
+                params: [50], // Top 50 bids and asks
+                interval: 6000, // 6 seconds
+                processor: this.processMarketData.bind(this)
+            },
+            chain_metrics: {
+                interval: 6000, // Recomputed locally - no upstream calls
+                source: 'block', // Keeps the head block follower running to collect metrics
+                derive: this.getChainMetrics.bind(this)
+            },
+            witness_schedule: {
+                interval: 15000, // Schedule is refetched once per round; counters come from head blocks
+                source: 'block',
+                derive: this.getWitnessStatus.bind(this)
+            },
+            // Social streams - built from the comment and vote operations in each head block
+            content_created: {
+                source: 'block',
+                content: 'created',
+                interval: BLOCK_INTERVAL_MS // Per head block, no polling of its own
+            },
+            content_updated: {
+                source: 'block',
+                content: 'updated',
+                interval: BLOCK_INTERVAL_MS // Per head block, no polling of its own
+            },
+            vote_cast: {
+                source: 'block',
+                content: 'vote',
+                interval: BLOCK_INTERVAL_MS // Per head block, no polling of its own
             }
         };
         
+        // Recently seen posts and comments (author/permlink -> { tags, community }), so edits can be told
+        // apart from new content and votes can be matched to the tag or community of what they vote on
+        this.recentContent = new Map();
+        this.maxRecentContent = 20000;
+        
         this.setupServer();
         this.setupRequestManagement();
+        this.setupNodeHealthChecks();
+        this.loadBlockStore();
         this.initializeConnection();
     }
     
     // Initialize and test Steem API connection
     async initializeConnection() {
         console.log('🔍 Initializing Steem API connection...');
-        console.log(`🌐 Available nodes: ${this.steemNodes.join(', ')}`);
+        console.log(`🌐 Available nodes: ${this.nodePool.map(node => node.host).join(', ')}`);
         console.log(`🎯 Primary endpoint: ${this.apiEndpoint}`);
         
         // Test connection after a short delay
@@ -92,10 +369,10 @@ class ProductionSteemBridge {
         
         try {
             // Test with a simple API call
-            const testCall = await this.queueAPICall('condenser_api.get_dynamic_global_properties', []);
+            const testCall = await this.queueAPICall('condenser_api.get_dynamic_global_properties', [], { lane: 'chain_head' });
             
             if (testCall && testCall.result && testCall.result.head_block_number) {
-                this.currentBlock = testCall.result.head_block_number;
+                this.processDynamicGlobalProperties(testCall.result);
                 console.log(`✅ Steem API connected successfully!`);
                 console.log(`📊 Current Steem block: ${this.currentBlock}`);
                 console.log(`🏷️  Chain ID: ${testCall.result.chain_id || 'N/A'}`);
@@ -122,9 +399,9 @@ class ProductionSteemBridge {
         // Fetch dynamic global properties every 10 seconds
         setInterval(async () => {
             try {
-                const response = await this.queueAPICall('condenser_api.get_dynamic_global_properties', []);
+                const response = await this.queueAPICall('condenser_api.get_dynamic_global_properties', [], { lane: 'chain_head' });
                 if (response && response.result) {
-                    this.currentBlock = response.result.head_block_number;
+                    this.processDynamicGlobalProperties(response.result);
                     console.log(`📊 Updated: Block ${this.currentBlock}`);
                 }
             } catch (error) {
@@ -139,7 +416,7 @@ class ProductionSteemBridge {
             // Enable CORS for your domain
             res.setHeader('Access-Control-Allow-Origin', `https://${this.domain}`);
             res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-            res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+            res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Last-Event-ID');
             
             if (req.method === 'OPTIONS') {
                 res.writeHead(204);
@@ -147,25 +424,49 @@ class ProductionSteemBridge {
                 return;
             }
             
-            if (req.url === '/') {
+            // A malformed request target (e.g. '//') must not take the server down
+            let url;
+            try {
+                url = new URL(req.url, 'http://localhost');
+            } catch (error) {
+                this.sendHTTPError(res, 400, 'Invalid request URL');
+                return;
+            }
+            
+            if (req.method === 'POST' && (url.pathname === '/' || url.pathname === '/rpc')) {
+                this.handleJSONRPCRequest(req, res);
+            } else if (url.pathname === '/') {
                 this.serveProductionInterface(res);
-            } else if (req.url === '/status') {
+            } else if (url.pathname === '/events') {
+                this.handleEventStream(req, res, url);
+            } else if (url.pathname === '/events/poll') {
+                this.handleLongPoll(req, res, url);
+            } else if (url.pathname.startsWith('/api/')) {
+                this.handleRESTRequest(req, res, url);
+            } else if (url.pathname === '/status') {
                 res.writeHead(200, { 'Content-Type': 'application/json' });
                 res.end(JSON.stringify({
                     status: 'running',
                     domain: this.domain,
                     connected_clients: this.clients.size,
+                    http_event_clients: this.httpClients.size,
                     current_block: this.currentBlock,
                     active_streams: Array.from(this.activeStreams.keys()),
+                    stream_subscribers: Object.fromEntries(
+                        Array.from(this.activeStreams, ([name, stream]) => [name, stream.subscribers.size])
+                    ),
+                    watched_accounts: this.accountWatchers.size,
                     api_requests_per_minute: this.requestCount,
-                    cache_status: Object.keys(this.cache).map(key => ({
-                        method: key,
-                        cached: this.cache[key].data !== null,
-                        age: Date.now() - this.cache[key].timestamp
-                    })),
+                    rate_limit: this.getRateLimitStatus(),
+                    request_lanes: this.getRequestLaneStatus(),
+                    coalesced_requests: this.coalescedRequestCount,
+                    active_node: this.activeNode,
+                    nodes: this.getNodePoolStatus(),
+                    cache: this.getCacheStatus(),
+                    block_store: this.getBlockStoreStatus(),
                     uptime: Math.floor(process.uptime())
                 }));
-            } else if (req.url === '/health') {
+            } else if (url.pathname === '/health') {
                 // Docker health check
                 res.writeHead(200, { 'Content-Type': 'text/plain' });
                 res.end('OK');
@@ -195,26 +496,20 @@ class ProductionSteemBridge {
             const clientIP = req.socket.remoteAddress || 'unknown';
             console.log(`🔌 Client connected from ${clientIP}`);
             this.clients.add(ws);
+            this.clientSubscriptions.set(ws, new Set());
+            this.clientAccounts.set(ws, new Set());
             
             // Send welcome message with domain info
-            ws.send(JSON.stringify({
-                type: 'welcome',
-                message: `Connected to ${this.domain} Steem Bridge`,
-                domain: this.domain,
-                current_block: this.currentBlock,
-                available_streams: Object.keys(this.apiMethods),
-                optimization_info: {
-                    api_pressure_reduction: true,
-                    smart_caching: true,
-                    max_requests_per_minute: this.maxRequestsPerMinute
-                },
-                timestamp: new Date().toISOString()
-            }));
+            ws.send(JSON.stringify(this.createWelcomeMessage()));
             
             ws.on('message', (message) => {
                 try {
                     const data = JSON.parse(message.toString());
-                    this.handleClientMessage(ws, data);
+                    if (Array.isArray(data) || data.jsonrpc === '2.0') {
+                        this.handleJSONRPCFrame(ws, data);
+                    } else {
+                        this.handleClientMessage(ws, data);
+                    }
                 } catch (error) {
                     ws.send(JSON.stringify({ 
                         type: 'error', 
@@ -226,244 +521,2606 @@ class ProductionSteemBridge {
             
             ws.on('close', () => {
                 console.log('🔌 Client disconnected');
-                this.clients.delete(ws);
-                
-                // Stop streams if no clients (saves API calls)
-                if (this.clients.size === 0) {
-                    console.log('💤 No clients - stopping streams to reduce API pressure');
-                    this.stopAllStreams();
-                }
+                this.removeClient(ws);
             });
             
             ws.on('error', (error) => {
                 console.error('WebSocket error:', error);
-                this.clients.delete(ws);
+                this.removeClient(ws);
             });
         });
     }
     
-    setupRequestManagement() {
-        // Reset request counter every minute
-        setInterval(() => {
-            console.log(`📊 API requests in last minute: ${this.requestCount}`);
-            this.requestCount = 0;
-        }, 60000);
-        
-        // Process request queue
-        this.processRequestQueue();
+    createWelcomeMessage() {
+        return {
+            type: 'welcome',
+            message: `Connected to ${this.domain} Steem Bridge`,
+            domain: this.domain,
+            current_block: this.currentBlock,
+            available_streams: Object.keys(this.apiMethods),
+            optimization_info: {
+                api_pressure_reduction: true,
+                smart_caching: true,
+                max_requests_per_minute: this.maxRequestsPerMinute,
+                rate_limit_scope: 'per_node'
+            },
+            timestamp: new Date().toISOString()
+        };
     }
     
-    async processRequestQueue() {
-        if (this.isProcessingQueue || this.requestQueue.length === 0) {
-            setTimeout(() => this.processRequestQueue(), 1000);
-            return;
+    // HTTP event consumers (SSE and long-poll) are registered like WebSocket clients through a small
+    // adapter, so they share the subscription, filtering, replay and caching paths
+    createHTTPClient(send) {
+        const client = { readyState: WebSocket.OPEN, send, lastBlocks: {} };
+        this.httpClients.add(client);
+        this.clientSubscriptions.set(client, new Set());
+        this.clientAccounts.set(client, new Set());
+        return client;
+    }
+    
+    closeHTTPClient(client) {
+        if (client.readyState !== WebSocket.OPEN) return;
+        client.readyState = WebSocket.CLOSED;
+        this.httpClients.delete(client);
+        this.removeClient(client);
+    }
+    
+    // ?streams=block,dynamic_global_properties&accounts=alice&filter={...}&from_block=N
+    // Resume points come from the event id: 'block:1234,ops_in_block:1234'
+    parseHTTPSubscription(url, lastEventId) {
+        const list = (name) => (url.searchParams.get(name) || '').split(',').map(item => item.trim()).filter(Boolean);
+        const streams = list('streams');
+        const accounts = list('accounts');
+        
+        if (streams.length === 0 && accounts.length === 0) {
+            throw new Error(`streams or accounts query parameter is required. Available streams: ${Object.keys(this.apiMethods).join(', ')}`);
         }
+        const unknown = streams.filter(streamName => !this.isStream(streamName));
+        if (unknown.length > 0) throw new Error(`Unknown stream: ${unknown.join(', ')}`);
         
-        this.isProcessingQueue = true;
+        let filter = null;
+        if (url.searchParams.has('filter')) {
+            try {
+                filter = JSON.parse(url.searchParams.get('filter'));
+            } catch (error) {
+                throw new Error('filter must be URL-encoded JSON');
+            }
+        }
         
-        while (this.requestQueue.length > 0) {
-            const request = this.requestQueue.shift();
-            
-            // Rate limiting
-            const now = Date.now();
-            const timeSinceLastRequest = now - this.lastRequestTime;
+        const resume = {};
+        (lastEventId || '').split(',').forEach(entry => {
+            const [streamName, blockNum] = entry.split(':');
+            if (this.isStream(streamName) && Number.isInteger(Number(blockNum)) && Number(blockNum) > 0) {
+                resume[streamName] = Number(blockNum);
+            }
+        });
+        
+        return { streams, accounts, filter, resume, fromBlock: url.searchParams.get('from_block') };
+    }
+    
+    subscribeHTTPClient(client, subscription) {
+        subscription.streams.forEach(streamName => {
+            const config = this.apiMethods[streamName];
+            const options = {};
             
-            if (timeSinceLastRequest < this.requestDelay) {
-                await new Promise(resolve => setTimeout(resolve, this.requestDelay - timeSinceLastRequest));
+            if (config.follower) {
+                const resumeBlock = subscription.resume[streamName];
+                if (resumeBlock) options.fromBlock = resumeBlock + 1;
+                else if (subscription.fromBlock) options.fromBlock = subscription.fromBlock;
             }
+            if (subscription.filter && (config.follower || config.content)) options.filter = subscription.filter;
             
+            this.startStream(streamName, undefined, client, undefined, options);
+        });
+        
+        if (subscription.accounts.length > 0) {
+            this.subscribeAccount({ accounts: subscription.accounts }, client, undefined);
+        }
+    }
+    
+    // Track the last block sent per block stream; returns the new event id when it changed
+    trackEventId(client, data) {
+        const config = this.isStream(data.stream) && this.apiMethods[data.stream];
+        if (!config || !config.follower || !data.block_number) return null;
+        
+        if (data.type === 'live_data') {
+            client.lastBlocks[data.stream] = data.block_number;
+        } else if (data.type === 'block_reverted') {
+            client.lastBlocks[data.stream] = Math.min(client.lastBlocks[data.stream] || Infinity, data.block_number - 1);
+        } else {
+            return null;
+        }
+        
+        return Object.entries(client.lastBlocks).map(([streamName, blockNum]) => `${streamName}:${blockNum}`).join(',');
+    }
+    
+    sendHTTPError(res, status, message) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: message }));
+    }
+    
+    sendMethodNotAllowed(res, allow) {
+        res.writeHead(405, { 'Allow': allow, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Method not allowed' }));
+    }
+    
+    // Server-Sent Events - GET /events?streams=...; EventSource resends Last-Event-ID on reconnect
+    handleEventStream(req, res, url) {
+        if (req.method !== 'GET') {
+            this.sendMethodNotAllowed(res, 'GET');
+            return;
+        }
+        
+        let subscription;
+        try {
+            subscription = this.parseHTTPSubscription(url, req.headers['last-event-id'] || url.searchParams.get('last_event_id'));
+        } catch (error) {
+            this.sendHTTPError(res, 400, error.message);
+            return;
+        }
+        
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // Don't let nginx buffer the stream
+        });
+        res.write('retry: 3000\n\n');
+        
+        // A consumer that can't keep up is disconnected rather than buffered without limit;
+        // EventSource reconnects with Last-Event-ID and the missed blocks are replayed
+        const write = (chunk) => {
+            if (res.destroyed) return;
+            if (res.writableLength > this.maxSSEBufferBytes) {
+                console.warn(`⚠️ SSE client too slow (${res.writableLength} bytes buffered) - disconnecting`);
+                res.destroy();
+                return;
+            }
+            res.write(chunk);
+        };
+        
+        const client = this.createHTTPClient(message => {
+            const data = JSON.parse(message);
+            const eventId = this.trackEventId(client, data);
+            write(`event: ${data.type}\n${eventId ? `id: ${eventId}\n` : ''}data: ${message}\n\n`);
+        });
+        console.log(`📡 SSE client connected (${subscription.streams.concat(subscription.accounts).join(', ')})`);
+        
+        // Comments keep proxies from closing an idle connection
+        const heartbeat = setInterval(() => write(': ping\n\n'), 15000);
+        res.on('close', () => {
+            clearInterval(heartbeat);
+            this.closeHTTPClient(client);
+            console.log('📡 SSE client disconnected');
+        });
+        
+        client.send(JSON.stringify(this.createWelcomeMessage()));
+        this.subscribeHTTPClient(client, subscription);
+    }
+    
+    // Long-poll - GET /events/poll?streams=...[&session=id][&cursor=event id][&timeout=25]
+    // The first poll opens a session whose subscriptions stay live between polls and buffer events;
+    // each poll returns what arrived since the last one, waiting up to 'timeout' seconds for something.
+    // If the session expired, the cursor resumes block streams where the last poll ended.
+    handleLongPoll(req, res, url) {
+        if (req.method !== 'GET') {
+            this.sendMethodNotAllowed(res, 'GET');
+            return;
+        }
+        
+        let session = this.pollSessions.get(url.searchParams.get('session'));
+        
+        if (!session) {
+            let subscription;
             try {
-                const response = await this.makeAPICall(request.method, request.params);
-                request.resolve(response);
-                this.lastRequestTime = Date.now();
-                this.requestCount++;
+                subscription = this.parseHTTPSubscription(url, url.searchParams.get('cursor') || req.headers['last-event-id']);
             } catch (error) {
-                request.reject(error);
+                this.sendHTTPError(res, 400, error.message);
+                return;
             }
             
-            // Small delay between requests
-            await new Promise(resolve => setTimeout(resolve, 200));
+            session = { id: crypto.randomUUID(), queue: [], dropped: 0, cursor: null, waiter: null, expiryTimer: null };
+            session.client = this.createHTTPClient(message => {
+                const data = JSON.parse(message);
+                const eventId = this.trackEventId(session.client, data);
+                if (eventId) session.cursor = eventId;
+                
+                session.queue.push(data);
+                if (session.queue.length > this.maxPollQueue) {
+                    session.queue.shift();
+                    session.dropped++;
+                }
+                // Give events that arrive together (a replay, several streams) a moment to batch up
+                if (session.waiter && !session.waiter.flushTimer) {
+                    session.waiter.flushTimer = setTimeout(() => this.flushPollSession(session), 100);
+                }
+            });
+            this.pollSessions.set(session.id, session);
+            this.subscribeHTTPClient(session.client, subscription);
+            console.log(`📡 Long-poll session opened (${subscription.streams.concat(subscription.accounts).join(', ')})`);
         }
         
-        this.isProcessingQueue = false;
-        setTimeout(() => this.processRequestQueue(), 1000);
+        // A newer poll on the same session takes over from one still waiting
+        if (session.waiter) this.flushPollSession(session);
+        clearTimeout(session.expiryTimer);
+        
+        const timeout = Math.min(Math.max(parseInt(url.searchParams.get('timeout'), 10) || 25, 1), 55) * 1000;
+        session.waiter = { res, flushTimer: null, timeoutTimer: setTimeout(() => this.flushPollSession(session), timeout) };
+        
+        if (session.queue.length > 0) this.flushPollSession(session);
+        // Poller went away - keep its events queued for the next poll
+        res.on('close', () => {
+            if (session.waiter && session.waiter.res === res) this.flushPollSession(session, false);
+        });
     }
     
-    handleClientMessage(ws, data) {
-        switch (data.type) {
-            case 'start_stream':
-                this.startStream(data.stream, data.params, ws);
-                break;
-                
-            case 'stop_stream':
-                this.stopStream(data.stream, ws);
-                break;
-                
-            case 'get_current_block':
-                this.getCurrentBlock(ws);
-                break;
-                
-            case 'get_api_stats':
-                this.getAPIStats(ws);
-                break;
-                
-            default:
-                ws.send(JSON.stringify({
-                    type: 'error',
-                    message: `Unknown message type: ${data.type}`,
-                    available_types: ['start_stream', 'stop_stream', 'get_current_block', 'get_api_stats']
-                }));
+    flushPollSession(session, deliver = true) {
+        const waiter = session.waiter;
+        if (!waiter) return;
+        session.waiter = null;
+        clearTimeout(waiter.flushTimer);
+        clearTimeout(waiter.timeoutTimer);
+        
+        if (deliver && !waiter.res.writableEnded) {
+            waiter.res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+            waiter.res.end(JSON.stringify({
+                session: session.id,
+                cursor: session.cursor,
+                events: session.queue,
+                dropped: session.dropped
+            }));
+            session.queue = [];
+            session.dropped = 0;
         }
+        
+        session.expiryTimer = setTimeout(() => {
+            this.pollSessions.delete(session.id);
+            this.closeHTTPClient(session.client);
+            console.log('📡 Long-poll session expired');
+        }, this.pollSessionTTL);
     }
     
-    startStream(streamName, customParams, requestingClient) {
-        if (!this.apiMethods[streamName]) {
-            requestingClient.send(JSON.stringify({
-                type: 'error',
-                message: `Unknown stream: ${streamName}. Available: ${Object.keys(this.apiMethods).join(', ')}`
-            }));
+    // REST read API - cache-first, with HTTP caching derived from the same TTL policy as the bridge cache
+    // (irreversible blocks, ops and transactions are immutable, so an edge cache can keep them forever)
+    async handleRESTRequest(req, res, url) {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            this.sendMethodNotAllowed(res, 'GET, HEAD');
             return;
         }
         
-        const config = { ...this.apiMethods[streamName] };
+        const route = this.resolveRESTRoute(url);
+        if (!route) {
+            this.sendHTTPError(res, 404, 'Not found. Routes: /api/block/:num, /api/block/:num/ops, /api/tx/:id, /api/props, /api/witnesses, /api/account/:name');
+            return;
+        }
+        if (route.error) {
+            this.sendHTTPError(res, 400, route.error);
+            return;
+        }
         
-        if (!this.activeStreams.has(streamName)) {
-            console.log(`🚀 Starting optimized ${streamName} stream (${config.interval}ms interval)`);
-            
-            const intervalId = setInterval(async () => {
-                await this.fetchAndBroadcastOptimized(streamName, config);
-            }, config.interval);
-            
-            this.activeStreams.set(streamName, {
-                intervalId,
-                config,
-                startTime: Date.now(),
-                requestCount: 0
-            });
-            
-            // Send initial data immediately
-            this.fetchAndBroadcastOptimized(streamName, config);
+        let response;
+        try {
+            // Whether a block is final decides its cache lifetime, so make sure LIB is current
+            if (route.chainPosition && !(route.params[0] <= this.lastIrreversibleBlock)) {
+                await this.getDynamicGlobalProperties();
+            }
+            response = await this.cachedAPICall(route.method, route.params, { lane: 'client' });
+        } catch (error) {
+            // The node answered with a JSON-RPC error - for lookups that means it doesn't exist
+            const status = error.rpcError && route.rpcErrorStatus ? route.rpcErrorStatus : 502;
+            this.sendHTTPError(res, status, error.message);
+            return;
         }
         
-        requestingClient.send(JSON.stringify({
-            type: 'stream_started',
-            stream: streamName,
-            interval: config.interval,
-            optimization: 'enabled',
-            message: `Started optimized streaming ${streamName}`
-        }));
+        const result = route.select ? route.select(response.result) : response.result;
+        if (result === null || result === undefined) {
+            this.sendHTTPError(res, 404, `${route.name} not found`);
+            return;
+        }
+        
+        const body = JSON.stringify(result);
+        const etag = `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+        const ttl = this.getCacheTTL(route.method, route.params, response.result);
+        const headers = {
+            'Content-Type': 'application/json',
+            'ETag': etag,
+            'Cache-Control': ttl === Infinity
+                ? 'public, max-age=31536000, immutable'
+                : `public, max-age=${Math.max(1, Math.floor(ttl / 1000))}`,
+            'X-Cache': response.cached ? 'HIT' : 'MISS'
+        };
+        
+        if (req.headers['if-none-match'] === etag) {
+            res.writeHead(304, headers);
+            res.end();
+            return;
+        }
+        
+        res.writeHead(200, headers);
+        res.end(req.method === 'HEAD' ? undefined : body);
     }
     
-    stopStream(streamName, requestingClient) {
-        if (this.activeStreams.has(streamName)) {
-            const stream = this.activeStreams.get(streamName);
-            clearInterval(stream.intervalId);
-            this.activeStreams.delete(streamName);
+    resolveRESTRoute(url) {
+        const parts = url.pathname.split('/').filter(Boolean).slice(1); // Drop 'api'
+        const [resource, id, sub] = parts;
+        
+        const blockNumber = () => {
+            const blockNum = Number(id);
+            return Number.isInteger(blockNum) && blockNum > 0 ? blockNum : null;
+        };
+        
+        if (resource === 'block' && parts.length === 2) {
+            if (!blockNumber()) return { error: 'Block number must be a positive integer' };
+            return { name: 'Block', method: 'condenser_api.get_block', params: [blockNumber()], chainPosition: true };
+        }
+        if (resource === 'block' && parts.length === 3 && sub === 'ops') {
+            if (!blockNumber()) return { error: 'Block number must be a positive integer' };
+            // ?virtual=true returns only virtual operations
+            const onlyVirtual = url.searchParams.get('virtual') === 'true';
+            return { name: 'Block operations', method: 'condenser_api.get_ops_in_block', params: [blockNumber(), onlyVirtual], chainPosition: true };
+        }
+        if (resource === 'tx' && parts.length === 2) {
+            if (!/^[a-fA-F0-9]{40}$/.test(id)) return { error: 'Transaction id must be 40 hex characters' };
+            return { name: 'Transaction', method: 'condenser_api.get_transaction', params: [id.toLowerCase()], rpcErrorStatus: 404 };
+        }
+        if (resource === 'props' && parts.length === 1) {
+            return { name: 'Properties', method: 'condenser_api.get_dynamic_global_properties', params: [] };
+        }
+        if (resource === 'witnesses' && parts.length === 1) {
+            return { name: 'Witnesses', method: 'condenser_api.get_active_witnesses', params: [] };
+        }
+        if (resource === 'account' && parts.length === 2) {
+            const name = id.toLowerCase();
+            if (!ACCOUNT_NAME_PATTERN.test(name)) return { error: 'Invalid account name' };
+            return {
+                name: 'Account',
+                method: 'condenser_api.get_accounts',
+                params: [[name]],
+                select: accounts => (Array.isArray(accounts) && accounts[0]) || null
+            };
+        }
+        return null;
+    }
+    
+    // JSON-RPC 2.0 over HTTP - POST / or /rpc, so steem-js/dsteem can use the bridge as their node.
+    // Single calls and batches go through the same allowlist, cache, coalescing and node pool as 'rpc' messages.
+    handleJSONRPCRequest(req, res) {
+        const reply = (status, payload) => {
+            if (payload === undefined) {
+                res.writeHead(204);
+                res.end();
+                return;
+            }
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(payload));
+        };
+        const rpcError = (code, message) => ({ jsonrpc: '2.0', id: null, error: { code, message } });
+        
+        const chunks = [];
+        let bodyBytes = 0;
+        let tooLarge = false;
+        req.on('data', chunk => {
+            if (tooLarge) return;
+            bodyBytes += chunk.length;
+            if (bodyBytes > this.maxRPCBodyBytes) {
+                tooLarge = true;
+                reply(413, rpcError(-32600, `Request body larger than ${this.maxRPCBodyBytes} bytes`));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        
+        req.on('end', async () => {
+            if (tooLarge) return;
+            
+            let payload;
+            try {
+                payload = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+            } catch (error) {
+                reply(200, rpcError(-32700, 'Parse error'));
+                return;
+            }
             
-            console.log(`⏹️ Stopped ${streamName} stream (saved ${stream.requestCount} API calls)`);
+            if (!Array.isArray(payload)) {
+                reply(200, await this.executeJSONRPCCall(payload));
+                return;
+            }
             
-            requestingClient.send(JSON.stringify({
-                type: 'stream_stopped',
-                stream: streamName,
-                requests_saved: stream.requestCount,
-                message: `Stopped streaming ${streamName}`
-            }));
+            const batchError = this.validateJSONRPCBatch(payload);
+            if (batchError) {
+                reply(200, batchError);
+                return;
+            }
+            
+            const responses = (await Promise.all(payload.map(call => this.executeJSONRPCCall(call))))
+                .filter(response => response !== undefined);
+            // A batch of notifications gets no response body
+            reply(200, responses.length > 0 ? responses : undefined);
+        });
+    }
+    
+    validateJSONRPCBatch(batch) {
+        if (batch.length === 0) {
+            return { jsonrpc: '2.0', id: null, error: { code: -32600, message: 'Invalid Request: empty batch' } };
+        }
+        if (batch.length > this.maxRPCBatch) {
+            return {
+                jsonrpc: '2.0',
+                id: null,
+                error: { code: -32600, message: `Invalid Request: batches are limited to ${this.maxRPCBatch} calls` }
+            };
         }
+        return null;
     }
     
-    async fetchAndBroadcastOptimized(streamName, config) {
+    // Resolves with the JSON-RPC response object, or undefined for notifications (no id)
+    async executeJSONRPCCall(call) {
+        if (!call || typeof call !== 'object' || Array.isArray(call) || typeof call.method !== 'string') {
+            return { jsonrpc: '2.0', id: null, error: { code: -32600, message: 'Invalid Request' } };
+        }
+        
+        const isNotification = !('id' in call);
+        const respond = (response) => isNotification ? undefined : { jsonrpc: '2.0', id: call.id, ...response };
+        
+        let method = call.method;
+        let params = call.params === undefined ? [] : call.params;
+        
+        // steem-js style: { method: 'call', params: ['condenser_api', 'get_accounts', [['alice']]] }
+        if (method === 'call' && Array.isArray(params) && typeof params[0] === 'string' && typeof params[1] === 'string') {
+            method = `${params[0]}.${params[1]}`;
+            params = params[2] === undefined ? [] : params[2];
+        }
+        
+        const validationError = this.validateRPCCall(method, params);
+        if (validationError) {
+            return respond({ error: { code: validationError.code, message: validationError.message } });
+        }
+        
         try {
-            // Check cache first
-            const cached = this.cache[streamName];
-            const now = Date.now();
+            const { result } = await this.cachedAPICall(method, params, { lane: 'client' });
+            return respond({ result });
+        } catch (error) {
+            // Pass the node's own JSON-RPC error through so client libraries see what they expect
+            return respond({ error: error.rpcError || { code: -32000, message: error.message } });
+        }
+    }
+    
+    // JSON-RPC 2.0 frames on the WebSocket, next to the { type } protocol. Besides the allowlisted
+    // read methods there are 'subscribe' and 'unsubscribe'; subscription data arrives as notifications:
+    // { jsonrpc: '2.0', method: 'subscription', params: { subscription: 'block', result: { type: 'live_data', ... } } }
+    async handleJSONRPCFrame(ws, payload) {
+        const send = (response) => {
+            if (response !== undefined && ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(response));
+        };
+        
+        // Notifications are held back until the response carrying the subscription id is out
+        const calls = Array.isArray(payload) ? payload : [payload];
+        const subscriber = calls.some(call => call && call.method === 'subscribe') ? this.getRPCSubscriber(ws) : null;
+        if (subscriber) subscriber.holds++;
+        
+        try {
+            if (!Array.isArray(payload)) {
+                send(await this.executeWebSocketRPCCall(ws, payload));
+                return;
+            }
             
-            if (cached.data && (now - cached.timestamp) < cached.ttl) {
-                console.log(`📋 Using cached ${streamName} (${Math.round((now - cached.timestamp)/1000)}s old)`);
-                this.broadcast({
-                    type: 'live_data',
-                    stream: streamName,
-                    data: cached.data,
-                    cached: true,
-                    cache_age: now - cached.timestamp,
-                    timestamp: new Date().toISOString()
-                });
+            const batchError = this.validateJSONRPCBatch(payload);
+            if (batchError) {
+                send(batchError);
                 return;
             }
+            const responses = (await Promise.all(payload.map(call => this.executeWebSocketRPCCall(ws, call))))
+                .filter(response => response !== undefined);
+            if (responses.length > 0) send(responses);
+        } finally {
+            if (subscriber) this.releaseRPCSubscriber(ws, subscriber);
+        }
+    }
+    
+    executeWebSocketRPCCall(ws, call) {
+        if (call && typeof call === 'object' && call.method === 'subscribe') {
+            return this.subscribeJSONRPC(ws, call);
+        }
+        if (call && typeof call === 'object' && call.method === 'unsubscribe') {
+            return this.unsubscribeJSONRPC(ws, call);
+        }
+        return this.executeJSONRPCCall(call);
+    }
+    
+    // Subscriptions made over JSON-RPC live on one adapter client per socket, registered like an HTTP
+    // event client, so they share the stream, filter, replay and account paths. Its messages are
+    // re-framed as notifications keyed by stream name ('account_activity' for watched accounts).
+    getRPCSubscriber(ws) {
+        let subscriber = this.rpcSubscribers.get(ws);
+        if (subscriber) return subscriber;
+        
+        subscriber = {
+            readyState: WebSocket.OPEN,
+            collecting: null, // Messages captured during a subscribe call
+            holds: 0, // Frames with subscribe calls still waiting for their response
+            held: [],
+            send: (json) => {
+                const message = JSON.parse(json);
+                if (subscriber.collecting) {
+                    subscriber.collecting.push(message);
+                } else if (subscriber.holds > 0) {
+                    subscriber.held.push(message);
+                } else {
+                    this.notifyRPCSubscriber(ws, message);
+                }
+            }
+        };
+        this.rpcSubscribers.set(ws, subscriber);
+        this.clientSubscriptions.set(subscriber, new Set());
+        this.clientAccounts.set(subscriber, new Set());
+        return subscriber;
+    }
+    
+    notifyRPCSubscriber(ws, message) {
+        if (ws.readyState !== WebSocket.OPEN) return;
+        
+        // A top-level id is only ever an internal reply correlation id here
+        const { id, ...result } = message;
+        const subscription = message.type === 'account_activity' ? 'account_activity' : message.stream;
+        ws.send(JSON.stringify({ jsonrpc: '2.0', method: 'subscription', params: { subscription, result } }));
+    }
+    
+    releaseRPCSubscriber(ws, subscriber) {
+        subscriber.holds--;
+        if (subscriber.holds > 0) return;
+        
+        const held = subscriber.held;
+        subscriber.held = [];
+        held.forEach(message => this.notifyRPCSubscriber(ws, message));
+    }
+    
+    // Runs a subscription action against the socket's adapter and returns its reply; anything else
+    // it sent (such as a late joiner's snapshot) is held with the frame's other notifications
+    callRPCSubscriber(ws, action) {
+        const subscriber = this.getRPCSubscriber(ws);
+        const token = `jsonrpc-${++this.rpcSubscriberCalls}`;
+        const collected = [];
+        
+        subscriber.collecting = collected;
+        try {
+            action(subscriber, token);
+        } finally {
+            subscriber.collecting = null;
+        }
+        
+        const reply = collected.find(message => message.id === token);
+        subscriber.held.push(...collected.filter(message => message !== reply));
+        return reply;
+    }
+    
+    // params: { stream, params, from_block, filter } or ['block', { from_block, filter }],
+    // or { accounts: ['alice'] } for account activity
+    subscribeJSONRPC(ws, call) {
+        const isNotification = !('id' in call);
+        const respond = (response) => isNotification ? undefined : { jsonrpc: '2.0', id: call.id, ...response };
+        
+        const params = call.params === undefined ? {} : call.params;
+        const options = Array.isArray(params)
+            ? { ...(params[1] && typeof params[1] === 'object' ? params[1] : {}), stream: params[0] }
+            : params;
+        if (!options || typeof options !== 'object') {
+            return respond({ error: { code: -32602, message: 'params must be an array or object' } });
+        }
+        
+        const isAccounts = options.accounts !== undefined || options.account !== undefined;
+        if (!isAccounts && !this.isStream(options.stream)) {
+            return respond({ error: { code: -32602, message: `Unknown stream: ${options.stream}. Available: ${Object.keys(this.apiMethods).join(', ')}` } });
+        }
+
+        const reply = this.callRPCSubscriber(ws, (subscriber, token) => {
+            if (isAccounts) {
+                this.subscribeAccount(options, subscriber, token);
+            } else {
+                this.startStream(options.stream, options.params, subscriber, token, {
+                    fromBlock: options.from_block,
+                    filter: options.filter
+                });
+            }
+        });
+        
+        if (!reply) return undefined; // Socket closed meanwhile
+        if (reply.type === 'error') {
+            return respond({ error: { code: -32602, message: reply.message } });
+        }
+        
+        const { type, id, message, ...details } = reply;
+        return respond({ result: { subscription: isAccounts ? 'account_activity' : reply.stream, ...details } });
+    }
+    
+    // params: ['block'] or { subscription: 'block' }; 'account_activity' drops every watched account
+    unsubscribeJSONRPC(ws, call) {
+        const isNotification = !('id' in call);
+        const respond = (response) => isNotification ? undefined : { jsonrpc: '2.0', id: call.id, ...response };
+        
+        const subscription = Array.isArray(call.params) ? call.params[0] : call.params && call.params.subscription;
+        const subscriber = this.rpcSubscribers.get(ws);
+        
+        if (subscriber && subscription === 'account_activity' && this.clientAccounts.get(subscriber).size > 0) {
+            this.unwatchAccounts(subscriber, Array.from(this.clientAccounts.get(subscriber)));
+            return respond({ result: true });
+        }
+        if (subscriber && this.clientSubscriptions.get(subscriber).has(subscription)) {
+            this.unsubscribe(subscription, subscriber);
+            return respond({ result: true });
+        }
+        
+        return respond({ error: { code: -32602, message: `Unknown subscription: ${subscription}` } });
+    }
+    
+    setupRequestManagement() {
+        // Reset request counter every minute
+        setInterval(() => {
+            console.log(`📊 API requests in last minute: ${this.requestCount}`);
+            this.requestCount = 0;
+        }, 60000);
+    }
+    
+    createRequestLane(maxDepth, sheddable) {
+        return {
+            queue: [],
+            maxDepth,
+            sheddable,
+            stats: { enqueued: 0, processed: 0, coalesced: 0, rejected: 0, shed: 0, peakDepth: 0 }
+        };
+    }
+    
+    getQueuedRequestCount() {
+        return Object.values(this.requestLanes).reduce((total, lane) => total + lane.queue.length, 0);
+    }
+    
+    // Highest priority lane with work waiting
+    nextQueuedRequest() {
+        for (const lane of Object.values(this.requestLanes)) {
+            if (lane.queue.length > 0) {
+                lane.stats.processed++;
+                return lane.queue.shift();
+            }
+        }
+        return null;
+    }
+    
+    // Drain the lanes one call at a time, waiting for rate budget when every node is exhausted
+    async processRequestQueue() {
+        if (this.isProcessingQueue) return;
+        this.isProcessingQueue = true;
+        
+        while (this.getQueuedRequestCount() > 0) {
+            const waitTime = this.getRateLimitWait();
+            
+            if (waitTime > 0) {
+                // Out of budget - drop work that is cheap to retry rather than let it pile up
+                this.shedQueuedRequests();
+                if (this.getQueuedRequestCount() === 0) break;
+                
+                await new Promise(resolve => setTimeout(resolve, waitTime));
+                continue;
+            }
+            
+            const request = this.nextQueuedRequest();
+            
+            try {
+                const response = await this.makeAPICall(request.method, request.params);
+                request.resolve(response);
+                this.requestCount++;
+            } catch (error) {
+                request.reject(error);
+            }
+        }
+        
+        this.isProcessingQueue = false;
+    }
+    
+    // Sheds the lowest-priority sheddable lane with work queued, so backfill goes before live client
+    // calls; the client lane is only shed if the budget is still exhausted after the next wait
+    shedQueuedRequests() {
+        const entry = Object.entries(this.requestLanes).reverse()
+            .find(([, lane]) => lane.sheddable && lane.queue.length > 0);
+        if (!entry) return;
+        
+        const [laneName, lane] = entry;
+        const shed = lane.queue;
+        lane.queue = [];
+        lane.stats.shed += shed.length;
+        this.shedRequestCount += shed.length;
+        console.log(`🚦 Rate limit reached - shed ${shed.length} ${laneName} requests`);
+        
+        const error = new Error('Rate limit reached - request shed, retry shortly');
+        shed.forEach(request => request.reject(error));
+    }
+    
+    getRequestLaneStatus() {
+        return Object.fromEntries(Object.entries(this.requestLanes).map(([laneName, lane]) => [laneName, {
+            depth: lane.queue.length,
+            max_depth: lane.maxDepth,
+            peak_depth: lane.stats.peakDepth,
+            enqueued: lane.stats.enqueued,
+            processed: lane.stats.processed,
+            coalesced: lane.stats.coalesced,
+            rejected: lane.stats.rejected,
+            shed: lane.stats.shed
+        }]));
+    }
+    
+    // Every message may carry an optional 'id' which is echoed back on every reply to it
+    handleClientMessage(ws, data) {
+        const requestId = data.id;
+        
+        switch (data.type) {
+            case 'start_stream':
+                this.startStream(data.stream, data.params, ws, requestId, { fromBlock: data.from_block, filter: data.filter });
+                break;
+                
+            case 'stop_stream':
+                this.stopStream(data.stream, ws, requestId, data.params);
+                break;
+                
+            case 'get_current_block':
+                this.getCurrentBlock(ws, requestId);
+                break;
+                
+            case 'get_api_stats':
+                this.getAPIStats(ws, requestId);
+                break;
+                
+            case 'get_transaction':
+                this.getTransaction(data.transaction_id, ws, requestId);
+                break;
+                
+            case 'rpc':
+                this.handleRPCRequest(data, ws, requestId);
+                break;
+                
+            case 'subscribe_account':
+                this.subscribeAccount(data, ws, requestId);
+                break;
+                
+            case 'unsubscribe_account':
+                this.unsubscribeAccount(data, ws, requestId);
+                break;
+                
+            case 'broadcast_transaction':
+                this.broadcastTransaction(data.transaction, ws, requestId);
+                break;
+                
+            default:
+                this.sendReply(ws, requestId, {
+                    type: 'error',
+                    message: `Unknown message type: ${data.type}`,
+                    available_types: [
+                        'start_stream', 'stop_stream', 'get_current_block', 'get_api_stats', 'get_transaction', 'rpc',
+                        'subscribe_account', 'unsubscribe_account', 'broadcast_transaction'
+                    ]
+                });
+        }
+    }
+    
+    // Own keys only - a client-supplied '__proto__' or 'constructor' is not a stream
+    isStream(streamName) {
+        return typeof streamName === 'string' && Object.prototype.hasOwnProperty.call(this.apiMethods, streamName);
+    }
+    
+    // Reply to a single client, tagging the message with the request's correlation id
+    sendReply(ws, requestId, data) {
+        if (ws.readyState !== WebSocket.OPEN) return;
+        ws.send(JSON.stringify(requestId === undefined ? data : { ...data, id: requestId }));
+    }
+    
+    // options.fromBlock replays a block stream from that block before switching to live delivery
+    startStream(streamName, customParams, requestingClient, requestId, options = {}) {
+        // { stream: 'block', params: { mode: 'irreversible' } } is an alias for irreversible_block
+        if (streamName === 'block' && customParams && customParams.mode === 'irreversible') {
+            streamName = 'irreversible_block';
+        }
+        
+        if (!this.isStream(streamName)) {
+            this.sendReply(requestingClient, requestId, {
+                type: 'error',
+                message: `Unknown stream: ${streamName}. Available: ${Object.keys(this.apiMethods).join(', ')}`
+            });
+            return;
+        }
+        
+        const config = { ...this.apiMethods[streamName] };
+        
+        const fromBlock = options.fromBlock === undefined || options.fromBlock === null ? null : Number(options.fromBlock);
+        if (fromBlock !== null && (!config.follower || !Number.isInteger(fromBlock) || fromBlock < 1)) {
+            this.sendReply(requestingClient, requestId, {
+                type: 'error',
+                message: config.follower
+                    ? 'from_block must be a positive block number'
+                    : `from_block is only supported on block streams, not ${streamName}`
+            });
+            return;
+        }
+        
+        let filter = null;
+        if (options.filter !== undefined && options.filter !== null) {
+            try {
+                if (config.content) {
+                    filter = this.parseContentFilter(options.filter);
+                } else if (config.follower) {
+                    filter = this.parseOperationFilter(options.filter);
+                } else {
+                    throw new Error(`filter is only supported on block and content streams, not ${streamName}`);
+                }
+            } catch (error) {
+                this.sendReply(requestingClient, requestId, { type: 'error', message: error.message });
+                return;
+            }
+        }
+        
+        if (!this.activeStreams.has(streamName)) {
+            console.log(`🚀 Starting optimized ${streamName} stream (${config.content ? 'per block' : config.interval + 'ms interval'})`);
+            
+            const intervalId = config.follower || config.content ? null : setInterval(async () => {
+                await this.fetchAndBroadcastOptimized(streamName, config);
+            }, config.interval);
+            
+            this.activeStreams.set(streamName, {
+                intervalId,
+                config,
+                startTime: Date.now(),
+                requestCount: 0,
+                latest: null, // Last data sent on this stream
+                subscribers: new Set([requestingClient]),
+                replays: new Map(), // ws -> replay state; live data is held back until the replay catches up
+                filters: new Map(filter ? [[requestingClient, filter]] : []) // ws -> operation or content filter; those clients get matching items only
+            });
+            
+            if (config.follower || config.source) {
+                this.startBlockFollower(config.follower || config.source);
+            }
+            if (intervalId) {
+                // Send initial data immediately
+                this.fetchAndBroadcastOptimized(streamName, config);
+            }
+        } else {
+            const stream = this.activeStreams.get(streamName);
+            stream.subscribers.add(requestingClient);
+            // Subscribing again replaces (or clears) the client's filter
+            if (filter) stream.filters.set(requestingClient, filter);
+            else stream.filters.delete(requestingClient);
+            
+            // Late joiners get the latest snapshot instead of waiting a full interval
+            const latest = stream.latest;
+            if (latest && fromBlock === null) {
+                this.sendStreamData(stream, requestingClient, {
+                    type: 'live_data',
+                    stream: streamName,
+                    block_number: latest.blockNum,
+                    data: latest.data,
+                    cached: true,
+                    cache_age: Date.now() - latest.timestamp,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        }
+        
+        this.clientSubscriptions.get(requestingClient).add(streamName);
+        
+        this.sendReply(requestingClient, requestId, {
+            type: 'stream_started',
+            stream: streamName,
+            interval: config.interval,
+            subscribers: this.activeStreams.get(streamName).subscribers.size,
+            from_block: fromBlock === null ? undefined : fromBlock,
+            filter: filter ? this.describeFilter(filter) : undefined,
+            optimization: 'enabled',
+            message: `Started optimized streaming ${streamName}`
+        });
+        
+        if (fromBlock !== null) {
+            this.replayStream(streamName, requestingClient, fromBlock, requestId);
+        }
+    }
+    
+    // Send a reconnecting client the blocks it missed, then hand it over to the live follower.
+    // Live deliveries skip the client while its replay is running; the handover happens once the
+    // replay has caught up with the follower's last delivered block, so nothing is sent twice or skipped.
+    async replayStream(streamName, ws, fromBlock, requestId) {
+        const stream = this.activeStreams.get(streamName);
+        const follower = this.blockFollowers[stream.config.follower];
+        const replay = { fromBlock, nextBlock: fromBlock, sent: 0 };
+        stream.replays.set(ws, replay);
+        
+        const isCurrent = () => this.activeStreams.get(streamName) === stream &&
+            stream.replays.get(ws) === replay && ws.readyState === WebSocket.OPEN;
+        
+        try {
+            while (isCurrent()) {
+                // A freshly started follower hasn't picked its starting block yet
+                if (!follower.lastBlock) {
+                    await new Promise(resolve => setTimeout(resolve, this.blockPollInterval));
+                    continue;
+                }
+                
+                const oldestBlock = follower.lastBlock - this.maxReplayBlocks + 1;
+                if (replay.nextBlock < oldestBlock) {
+                    replay.nextBlock = oldestBlock;
+                    replay.truncated = true;
+                }
+                
+                if (replay.nextBlock > follower.lastBlock) {
+                    stream.replays.delete(ws);
+                    this.sendReply(ws, requestId, {
+                        type: 'replay_complete',
+                        stream: streamName,
+                        from_block: replay.truncated ? oldestBlock : fromBlock,
+                        to_block: replay.nextBlock - 1,
+                        blocks_sent: replay.sent,
+                        truncated: !!replay.truncated,
+                        timestamp: new Date().toISOString()
+                    });
+                    console.log(`⏪ Replayed ${replay.sent} ${streamName} blocks to client - now live`);
+                    return;
+                }
+                
+                const blockNum = replay.nextBlock;
+                const { result, cached } = await this.fetchStreamBlock(streamName, blockNum);
+                if (!isCurrent()) return;
+                
+                this.sendStreamData(stream, ws, {
+                    type: 'live_data',
+                    stream: streamName,
+                    block_number: blockNum,
+                    irreversible: follower.mode === 'irreversible' || blockNum <= this.lastIrreversibleBlock,
+                    data: result,
+                    cached,
+                    replay: true,
+                    timestamp: new Date().toISOString()
+                });
+                replay.sent++;
+                replay.nextBlock = blockNum + 1;
+            }
+        } catch (error) {
+            if (!isCurrent()) return;
+            // Hand over to live delivery anyway and tell the client where the gap is
+            stream.replays.delete(ws);
+            console.error(`Replay of ${streamName} failed at ${replay.nextBlock}:`, error.message);
+            this.sendReply(ws, requestId, {
+                type: 'replay_error',
+                stream: streamName,
+                block_number: replay.nextBlock,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+    
+    // Historical data for one block of a follower stream, served from the cache or store when possible
+    async fetchStreamBlock(streamName, blockNum) {
+        const options = { lane: 'backfill' };
+        
+        if (streamName === 'ops_in_block') {
+            const { result, cached } = await this.cachedAPICall('condenser_api.get_ops_in_block', [blockNum, true], options);
+            return { result: this.processOpsInBlock(result || []), cached };
+        }
+        
+        const { result, cached } = await this.cachedAPICall('condenser_api.get_block', [blockNum], options);
+        if (!result) throw new Error(`Block ${blockNum} not available`);
+        return { result: this.processBlock(result), cached };
+    }
+    
+    // Operation filters
+    // { op_types: ['transfer'], accounts: ['alice'], custom_json_ids: ['follow'] } - every given list
+    // must match; custom_json_ids also lets custom_json through when op_types doesn't list it
+    parseOperationFilter(spec) {
+        if (typeof spec !== 'object' || Array.isArray(spec)) {
+            throw new Error('filter must be an object with op_types, accounts and/or custom_json_ids');
+        }
+        
+        const filter = {
+            opTypes: this.parseFilterList(spec, 'op_types', true),
+            accounts: this.parseFilterList(spec, 'accounts', true),
+            customJsonIds: this.parseFilterList(spec, 'custom_json_ids', false)
+        };
+        
+        if (!filter.opTypes && !filter.accounts && !filter.customJsonIds) {
+            throw new Error('filter needs at least one of op_types, accounts or custom_json_ids');
+        }
+        return filter;
+    }
+    
+    parseFilterList(spec, name, lowercase) {
+        const list = spec[name];
+        if (list === undefined || list === null) return null;
+        if (!Array.isArray(list) || list.length === 0 || !list.every(item => typeof item === 'string' && item)) {
+            throw new Error(`filter.${name} must be a non-empty array of strings`);
+        }
+        if (list.length > MAX_FILTER_ENTRIES) {
+            throw new Error(`filter.${name} is limited to ${MAX_FILTER_ENTRIES} entries`);
+        }
+        return new Set(lowercase ? list.map(item => item.toLowerCase()) : list);
+    }
+    
+    // Echo a parsed operation or content filter back in the client's snake_case
+    describeFilter(filter) {
+        const description = {};
+        Object.entries(filter).forEach(([key, values]) => {
+            if (values) description[key.replace(/[A-Z]/g, letter => '_' + letter.toLowerCase())] = Array.from(values);
+        });
+        return description;
+    }
+    
+    // Flatten block or ops_in_block data into operations tagged with their position in the chain
+    extractOperations(streamName, blockNum, data) {
+        if (!data) return [];
+        
+        if (streamName === 'ops_in_block') {
+            return data.map(entry => ({
+                block_number: blockNum,
+                trx_id: entry.trx_id,
+                trx_in_block: entry.trx_in_block,
+                op_in_trx: entry.op_in_trx,
+                virtual: !!entry.virtual_op,
+                op: entry.op
+            }));
+        }
+        
+        const operations = [];
+        (data.transactions || []).forEach((transaction, trxIndex) => {
+            const trxId = data.transaction_ids ? data.transaction_ids[trxIndex] : null;
+            (transaction.operations || []).forEach((op, opIndex) => {
+                operations.push({
+                    block_number: blockNum,
+                    trx_id: trxId,
+                    trx_in_block: trxIndex,
+                    op_in_trx: opIndex,
+                    virtual: false,
+                    op
+                });
+            });
+        });
+        return operations;
+    }
+    
+    // Accounts named by an operation, including custom_json signers
+    getOperationAccounts(op) {
+        const [, body] = op;
+        const accounts = new Set();
+        if (!body || typeof body !== 'object') return accounts;
+        
+        OPERATION_ACCOUNT_FIELDS.forEach(field => {
+            if (typeof body[field] === 'string' && body[field]) accounts.add(body[field]);
+        });
+        ['required_auths', 'required_posting_auths'].forEach(field => {
+            if (Array.isArray(body[field])) body[field].forEach(account => accounts.add(account));
+        });
+        return accounts;
+    }
+    
+    matchesOperationFilter(operation, filter) {
+        const [type, body] = operation.op;
+        const isCustomJson = type === 'custom_json';
+        
+        if (filter.opTypes || filter.customJsonIds) {
+            const typeListed = filter.opTypes ? filter.opTypes.has(type) : false;
+            if (!typeListed && !(isCustomJson && filter.customJsonIds)) return false;
+        }
+        if (isCustomJson && filter.customJsonIds && !filter.customJsonIds.has(body.id)) return false;
+        
+        if (filter.accounts) {
+            const accounts = this.getOperationAccounts(operation.op);
+            if (!Array.from(accounts).some(account => filter.accounts.has(account))) return false;
+        }
+        return true;
+    }
+    
+    stopStream(streamName, requestingClient, requestId, customParams) {
+        // Same alias as startStream
+        if (streamName === 'block' && customParams && customParams.mode === 'irreversible') {
+            streamName = 'irreversible_block';
+        }
+
+        const subscriptions = this.clientSubscriptions.get(requestingClient);
+        
+        if (!subscriptions || !subscriptions.has(streamName)) {
+            this.sendReply(requestingClient, requestId, {
+                type: 'error',
+                message: `Not subscribed to stream: ${streamName}`
+            });
+            return;
+        }
+        
+        const stream = this.activeStreams.get(streamName);
+        this.unsubscribe(streamName, requestingClient);
+        
+        this.sendReply(requestingClient, requestId, {
+            type: 'stream_stopped',
+            stream: streamName,
+            requests_saved: stream ? stream.requestCount : 0,
+            message: `Stopped streaming ${streamName}`
+        });
+    }
+    
+    // Remove one subscriber; the stream's interval only stops with its last subscriber
+    unsubscribe(streamName, ws) {
+        const subscriptions = this.clientSubscriptions.get(ws);
+        if (subscriptions) subscriptions.delete(streamName);
+        
+        const stream = this.activeStreams.get(streamName);
+        if (!stream) return;
+        
+        stream.subscribers.delete(ws);
+        stream.replays.delete(ws);
+        stream.filters.delete(ws);
+        
+        if (stream.subscribers.size === 0) {
+            clearInterval(stream.intervalId);
+            this.activeStreams.delete(streamName);
+            console.log(`⏹️ Stopped ${streamName} stream - no subscribers left (saved ${stream.requestCount} API calls)`);
+            
+            if (stream.config.follower || stream.config.source) {
+                this.stopBlockFollowerIfIdle(stream.config.follower || stream.config.source);
+            }
+        }
+    }
+    
+    removeClient(ws) {
+        const rpcSubscriber = this.rpcSubscribers.get(ws);
+        if (rpcSubscriber) {
+            this.rpcSubscribers.delete(ws);
+            rpcSubscriber.readyState = WebSocket.CLOSED;
+            this.removeClient(rpcSubscriber);
+        }
+        
+        const subscriptions = this.clientSubscriptions.get(ws);
+        if (subscriptions) {
+            Array.from(subscriptions).forEach(streamName => this.unsubscribe(streamName, ws));
+        }
+        
+        this.clientSubscriptions.delete(ws);
+        
+        const accounts = this.clientAccounts.get(ws);
+        if (accounts) this.unwatchAccounts(ws, Array.from(accounts));
+        this.clientAccounts.delete(ws);
+        
+        this.pendingBroadcasts.forEach((broadcast, signature) => {
+            if (broadcast.ws === ws) this.pendingBroadcasts.delete(signature);
+        });
+        this.stopBlockFollowerIfIdle('block');
+        
+        this.clients.delete(ws);
+        
+        if (this.clients.size === 0 && this.activeStreams.size === 0) {
+            console.log('💤 No clients - all streams stopped to reduce API pressure');
+        }
+    }
+    
+    // Account activity subscriptions
+    // { type: 'subscribe_account', account: 'alice' } or { accounts: ['alice', 'bob'] }
+    subscribeAccount(data, ws, requestId) {
+        const accounts = this.parseAccountList(data);
+        if (!accounts) {
+            this.sendReply(ws, requestId, {
+                type: 'error',
+                message: 'subscribe_account needs a valid account name in account or accounts'
+            });
+            return;
+        }
+        
+        const watched = this.clientAccounts.get(ws);
+        const added = accounts.filter(account => !watched.has(account));
+        if (watched.size + added.length > this.maxAccountsPerClient) {
+            this.sendReply(ws, requestId, {
+                type: 'error',
+                message: `Too many watched accounts - limit is ${this.maxAccountsPerClient} per client`,
+                accounts: Array.from(watched)
+            });
+            return;
+        }
+        
+        added.forEach(account => {
+            watched.add(account);
+            if (!this.accountWatchers.has(account)) this.accountWatchers.set(account, new Set());
+            this.accountWatchers.get(account).add(ws);
+        });
+        this.startBlockFollower('block');
+        
+        this.sendReply(ws, requestId, {
+            type: 'account_subscribed',
+            accounts: Array.from(watched),
+            limit: this.maxAccountsPerClient,
+            message: `Watching ${watched.size} account(s) for real and virtual operations`
+        });
+    }
+    
+    unsubscribeAccount(data, ws, requestId) {
+        const accounts = this.parseAccountList(data);
+        if (!accounts) {
+            this.sendReply(ws, requestId, {
+                type: 'error',
+                message: 'unsubscribe_account needs a valid account name in account or accounts'
+            });
+            return;
+        }
+        
+        this.unwatchAccounts(ws, accounts);
+        this.sendReply(ws, requestId, {
+            type: 'account_unsubscribed',
+            accounts: Array.from(this.clientAccounts.get(ws))
+        });
+    }
+    
+    parseAccountList(data) {
+        const accounts = Array.isArray(data.accounts) ? data.accounts : [data.account];
+        if (accounts.length === 0 || accounts.length > this.maxAccountsPerClient) return null;
+        
+        const names = accounts.map(account => typeof account === 'string' ? account.toLowerCase() : null);
+        return names.every(name => name && ACCOUNT_NAME_PATTERN.test(name)) ? names : null;
+    }
+    
+    unwatchAccounts(ws, accounts) {
+        const watched = this.clientAccounts.get(ws);
+        accounts.forEach(account => {
+            if (watched) watched.delete(account);
+            
+            const watchers = this.accountWatchers.get(account);
+            if (!watchers) return;
+            watchers.delete(ws);
+            if (watchers.size === 0) this.accountWatchers.delete(account);
+        });
+        this.stopBlockFollowerIfIdle('block');
+    }
+    
+    // Push each watcher the operations in this block that involve its accounts, one message per block
+    deliverAccountActivity(blockNum, block, ops) {
+        const operations = this.extractOperations('block', blockNum, block)
+            .concat(this.extractOperations('ops_in_block', blockNum, ops));
+        const activity = new Map(); // ws -> operations with the watched accounts they matched
+        
+        operations.forEach(operation => {
+            const matched = new Map(); // ws -> accounts
+            this.getOperationAccounts(operation.op).forEach(account => {
+                const watchers = this.accountWatchers.get(account);
+                if (!watchers) return;
+                watchers.forEach(ws => {
+                    if (!matched.has(ws)) matched.set(ws, []);
+                    matched.get(ws).push(account);
+                });
+            });
+            
+            matched.forEach((accounts, ws) => {
+                if (!activity.has(ws)) activity.set(ws, []);
+                activity.get(ws).push({ ...operation, accounts });
+            });
+        });
+        
+        activity.forEach((clientOperations, ws) => {
+            if (ws.readyState !== WebSocket.OPEN) return;
+            ws.send(JSON.stringify({
+                type: 'account_activity',
+                block_number: blockNum,
+                block_timestamp: block.timestamp,
+                operations: clientOperations,
+                timestamp: new Date().toISOString()
+            }));
+        });
+    }
+    
+    // Social content streams
+    hasContentStreams() {
+        return this.activeStreams.has('content_created') || this.activeStreams.has('content_updated') ||
+            this.activeStreams.has('vote_cast');
+    }
+    
+    deliverContentEvents(blockNum, block) {
+        const items = { created: [], updated: [], vote: [] };
+        
+        this.extractOperations('block', blockNum, block).forEach(operation => {
+            const [type, body] = operation.op;
+            
+            if (type === 'comment') {
+                const content = this.describeContent(body);
+                const key = `${body.author}/${body.permlink}`;
+                const isUpdate = this.isContentEdit(body, block, this.recentContent.get(key), blockNum);
+                this.rememberContent(key, content, blockNum);
+                
+                items[isUpdate ? 'updated' : 'created'].push({
+                    block_number: blockNum,
+                    trx_id: operation.trx_id,
+                    author: body.author,
+                    permlink: body.permlink,
+                    parent_author: body.parent_author,
+                    parent_permlink: body.parent_permlink,
+                    is_post: !body.parent_author,
+                    title: body.title,
+                    body: body.body,
+                    json_metadata: body.json_metadata,
+                    tags: content.tags,
+                    community: content.community,
+                    block_timestamp: block.timestamp
+                });
+            } else if (type === 'vote') {
+                // Tags and community are only known for content seen since the bridge started following
+                const content = this.recentContent.get(`${body.author}/${body.permlink}`) || { tags: [], community: null };
+                items.vote.push({
+                    block_number: blockNum,
+                    trx_id: operation.trx_id,
+                    voter: body.voter,
+                    author: body.author,
+                    permlink: body.permlink,
+                    weight: body.weight,
+                    tags: content.tags,
+                    community: content.community,
+                    block_timestamp: block.timestamp
+                });
+            }
+        });
+        
+        [['content_created', 'created'], ['content_updated', 'updated'], ['vote_cast', 'vote']].forEach(([streamName, kind]) => {
+            if (items[kind].length === 0 || !this.activeStreams.has(streamName)) return;
+            
+            this.activeStreams.get(streamName).requestCount++;
+            this.broadcastToSubscribers(streamName, {
+                type: 'live_data',
+                stream: streamName,
+                block_number: blockNum,
+                data: items[kind],
+                cached: false,
+                timestamp: new Date().toISOString()
+            });
+        });
+    }
+    
+    // Tags come from json_metadata (root posts also use their category); Steem communities are hive-NNNNN names
+    describeContent(body) {
+        let metadata = {};
+        try {
+            metadata = JSON.parse(body.json_metadata || '{}') || {};
+        } catch (error) {
+            // Plenty of content carries malformed metadata
+        }
+        
+        const tags = new Set();
+        if (!body.parent_author && body.parent_permlink) tags.add(body.parent_permlink);
+        if (Array.isArray(metadata.tags)) {
+            metadata.tags.forEach(tag => { if (typeof tag === 'string' && tag) tags.add(tag.toLowerCase()); });
+        }
+        
+        let community = typeof metadata.community === 'string' ? metadata.community : null;
+        if (!community && !body.parent_author && /^hive-\d+$/.test(body.parent_permlink)) {
+            community = body.parent_permlink;
+        }
+        
+        return { tags: Array.from(tags), community };
+    }
+    
+    // A comment op is both how content is created and how it is edited, with nothing in it marking which.
+    // Edits are told apart by their diff-match-patch body, by a dated reply permlink older than any
+    // transaction can be (expiration is at most an hour), or by having seen the content in an earlier
+    // block that is still on the chain. Full-body edits of older, unseen root posts can't be detected.
+    isContentEdit(body, block, known, blockNum) {
+        if (/^@@ -\d/.test(body.body || '')) return true;
+        
+        // Condenser reply permlinks end in their creation time: re-alice-post-20180101t120000000z
+        const dated = /-(\d{4})(\d{2})(\d{2})t(\d{2})(\d{2})(\d{2})(\d{3})z$/.exec(body.permlink || '');
+        if (dated) {
+            const [, year, month, day, hour, minute, second, ms] = dated;
+            const created = Date.parse(`${year}-${month}-${day}T${hour}:${minute}:${second}.${ms}Z`);
+            if (created < Date.parse(block.timestamp + 'Z') - 3600000) return true;
+        }
+        
+        return Boolean(known && known.firstBlock < blockNum);
+    }
+    
+    rememberContent(key, content, blockNum) {
+        const known = this.recentContent.get(key);
+        this.recentContent.delete(key);
+        this.recentContent.set(key, { ...content, firstBlock: known ? known.firstBlock : blockNum });
+        if (this.recentContent.size > this.maxRecentContent) {
+            this.recentContent.delete(this.recentContent.keys().next().value);
+        }
+    }
+    
+    // { tags: ['steem'], communities: ['hive-101145'], authors: ['alice'] } - every given list must match
+    parseContentFilter(spec) {
+        if (typeof spec !== 'object' || Array.isArray(spec)) {
+            throw new Error('filter must be an object with tags, communities and/or authors');
+        }
+        
+        const filter = {
+            tags: this.parseFilterList(spec, 'tags', true),
+            communities: this.parseFilterList(spec, 'communities', true),
+            authors: this.parseFilterList(spec, 'authors', true)
+        };
+        
+        if (!filter.tags && !filter.communities && !filter.authors) {
+            throw new Error('filter needs at least one of tags, communities or authors');
+        }
+        return filter;
+    }
+    
+    // Votes match an author filter on either the voter or the content author
+    matchesContentFilter(item, filter) {
+        if (filter.tags && !item.tags.some(tag => filter.tags.has(tag))) return false;
+        if (filter.communities && !filter.communities.has(item.community)) return false;
+        if (filter.authors && !filter.authors.has(item.author) && !filter.authors.has(item.voter)) return false;
+        return true;
+    }
+    
+    // Transaction broadcast relay
+    // Only already-signed transactions are accepted, so no keys ever reach the bridge. The submitter
+    // then gets tx_included when the transaction shows up in a head block, and tx_irreversible after.
+    async broadcastTransaction(transaction, ws, requestId) {
+        const replyError = (message) => {
+            this.sendReply(ws, requestId, {
+                type: 'broadcast_error',
+                error: message,
+                timestamp: new Date().toISOString()
+            });
+        };
+        
+        const validationError = this.validateSignedTransaction(transaction);
+        if (validationError) {
+            replyError(validationError);
+            return;
+        }
+        
+        const signature = transaction.signatures[0];
+        const clientBroadcasts = Array.from(this.pendingBroadcasts.values()).filter(broadcast => broadcast.ws === ws);
+        if (clientBroadcasts.length >= this.maxBroadcastsPerClient) {
+            replyError(`Too many unconfirmed broadcasts - limit is ${this.maxBroadcastsPerClient} per client`);
+            return;
+        }
+        
+        // Without an answer the node may still have accepted it, so it's tracked either way
+        let status = 'accepted';
+        try {
+            await this.sendBroadcast(transaction);
+        } catch (error) {
+            if (!error.failover || error.notSent) {
+                replyError(error.message);
+                return;
+            }
+            console.warn(`⚠️ No answer for relayed transaction: ${error.message}`);
+            status = 'unknown';
+        }
+        
+        this.pendingBroadcasts.set(signature, {
+            ws,
+            requestId,
+            expiration: Date.parse(transaction.expiration + 'Z'),
+            blockNum: null, // Block it was included in
+            transactionId: null
+        });
+        this.startBlockFollower('block');
+        
+        console.log(`📤 Relayed transaction with ${transaction.operations.length} operation(s) (${status})`);
+        this.sendReply(ws, requestId, {
+            type: 'broadcast_result',
+            status,
+            expiration: transaction.expiration,
+            message: status === 'accepted'
+                ? 'Transaction accepted by node - watch for tx_included'
+                : 'No answer from node - the transaction may still be included, watch for tx_included or tx_expired',
+            timestamp: new Date().toISOString()
+        });
+    }
+    
+    // Broadcasts skip the request queue: they go to exactly one node, are never retried on another
+    // (a retry after a timeout could only produce a duplicate-transaction error), never shed and never
+    // coalesced. They still wait for rate budget. Errors marked notSent never reached a node.
+    async sendBroadcast(transaction) {
+        const waitTime = this.getRateLimitWait();
+        if (waitTime > 0) await new Promise(resolve => setTimeout(resolve, waitTime));
+        
+        const node = this.getNodesByHealth().find(candidate => this.hasRateBudget(candidate));
+        if (!node) {
+            const error = new Error('Rate limit reached on all Steem nodes');
+            error.notSent = true;
+            throw error;
+        }
+        this.consumeToken(node);
+        
+        try {
+            return await this.makeNodeCall(node, 'condenser_api.broadcast_transaction', [transaction]);
+        } catch (error) {
+            if (['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'].includes(error.code)) error.notSent = true;
+            throw error;
+        }
+    }
+    
+    validateSignedTransaction(transaction) {
+        if (!transaction || typeof transaction !== 'object' || Array.isArray(transaction)) {
+            return 'transaction must be a signed transaction object';
+        }
+        if (!Array.isArray(transaction.operations) || transaction.operations.length === 0) {
+            return 'transaction.operations must be a non-empty array';
+        }
+        if (!Array.isArray(transaction.signatures) || transaction.signatures.length === 0 ||
+            !transaction.signatures.every(signature => typeof signature === 'string' && signature)) {
+            return 'transaction must be signed - sign it client side, the bridge never handles keys';
+        }
+        if (typeof transaction.expiration !== 'string' || isNaN(Date.parse(transaction.expiration + 'Z'))) {
+            return 'transaction.expiration must be a timestamp';
+        }
+        if (!Number.isInteger(transaction.ref_block_num) || !Number.isInteger(transaction.ref_block_prefix)) {
+            return 'transaction.ref_block_num and ref_block_prefix are required';
+        }
+        return null;
+    }
+    
+    trackBroadcasts(blockNum, block) {
+        const blockTime = Date.parse(block.timestamp + 'Z');
+        
+        (block.transactions || []).forEach((transaction, trxIndex) => {
+            const broadcast = this.pendingBroadcasts.get((transaction.signatures || [])[0]);
+            if (!broadcast || broadcast.blockNum) return;
+            
+            broadcast.blockNum = blockNum;
+            broadcast.transactionId = block.transaction_ids ? block.transaction_ids[trxIndex] : null;
+            this.sendReply(broadcast.ws, broadcast.requestId, {
+                type: 'tx_included',
+                transaction_id: broadcast.transactionId,
+                block_number: blockNum,
+                trx_in_block: trxIndex,
+                timestamp: new Date().toISOString()
+            });
+        });
+        
+        // Not included by its expiration - it never will be
+        this.pendingBroadcasts.forEach((broadcast, signature) => {
+            if (broadcast.blockNum || blockTime <= broadcast.expiration) return;
+            
+            this.pendingBroadcasts.delete(signature);
+            this.sendReply(broadcast.ws, broadcast.requestId, {
+                type: 'tx_expired',
+                expiration: new Date(broadcast.expiration).toISOString(),
+                block_number: blockNum,
+                timestamp: new Date().toISOString()
+            });
+        });
+        
+        this.checkIrreversibleBroadcasts();
+    }
+    
+    // Included transactions become irreversible once last_irreversible_block_num passes their block
+    async checkIrreversibleBroadcasts() {
+        const included = Array.from(this.pendingBroadcasts.values()).filter(broadcast => broadcast.blockNum);
+        if (included.length === 0) {
+            this.stopBlockFollowerIfIdle('block');
+            return;
+        }
+        
+        if (included.some(broadcast => broadcast.blockNum > this.lastIrreversibleBlock)) {
+            try {
+                await this.getDynamicGlobalProperties();
+            } catch (error) {
+                console.error('Irreversibility check error:', error.message);
+                return;
+            }
+        }
+        
+        this.pendingBroadcasts.forEach((broadcast, signature) => {
+            if (!broadcast.blockNum || broadcast.blockNum > this.lastIrreversibleBlock) return;
+            
+            this.pendingBroadcasts.delete(signature);
+            this.sendReply(broadcast.ws, broadcast.requestId, {
+                type: 'tx_irreversible',
+                transaction_id: broadcast.transactionId,
+                block_number: broadcast.blockNum,
+                last_irreversible_block: this.lastIrreversibleBlock,
+                timestamp: new Date().toISOString()
+            });
+        });
+        this.stopBlockFollowerIfIdle('block');
+    }
+    
+    // Block follower management
+    createBlockFollower(streamName, mode) {
+        return {
+            streamName,
+            mode,
+            lastBlock: 0, // Last block number delivered
+            recentBlocks: new Map(), // blockNum -> block_id of recently delivered head blocks
+            intervalId: null,
+            busy: false
+        };
+    }
+    
+    startBlockFollower(name) {
+        const follower = this.blockFollowers[name];
+        if (follower.intervalId) return;
+        
+        console.log(`🧱 Starting ${follower.mode} block follower (${this.blockPollInterval}ms poll)`);
+        follower.intervalId = setInterval(() => this.followBlocks(follower), this.blockPollInterval);
+        this.followBlocks(follower);
+    }
+    
+    stopBlockFollowerIfIdle(name) {
+        const follower = this.blockFollowers[name];
+        const followerStreams = Array.from(this.activeStreams.values())
+            .filter(stream => stream.config.follower === name || stream.config.source === name);
+        if (followerStreams.length > 0 || !follower.intervalId) return;
+        // Account subscriptions and broadcast tracking ride on the head follower
+        if (name === 'block' && (this.accountWatchers.size > 0 || this.pendingBroadcasts.size > 0)) return;
+        
+        clearInterval(follower.intervalId);
+        follower.intervalId = null;
+        // Start again from the tip next time rather than replaying the gap
+        follower.lastBlock = 0;
+        follower.recentBlocks.clear();
+        console.log(`⏹️ Stopped ${follower.mode} block follower - no block streams left`);
+    }
+    
+    // Cached dynamic global properties, refreshed when older than the cache TTL. A cache hit is processed
+    // too, since the rpc, REST and JSON-RPC paths cache this call without updating the chain position.
+    async getDynamicGlobalProperties() {
+        const { result } = await this.cachedAPICall('condenser_api.get_dynamic_global_properties', [], { lane: 'chain_head' });
+        if (result) this.processDynamicGlobalProperties(result);
+        return result;
+    }
+    
+    // Fetch every block after the last delivered one, in order, until the follower's tip is reached
+    async followBlocks(follower) {
+        if (follower.busy) return;
+        follower.busy = true;
+        
+        try {
+            const irreversible = follower.mode === 'irreversible';
+            
+            if (!follower.lastBlock) {
+                const tip = irreversible ? this.lastIrreversibleBlock : this.currentBlock;
+                if (!tip) await this.getDynamicGlobalProperties();
+                
+                const startBlock = irreversible ? this.lastIrreversibleBlock : this.currentBlock;
+                if (!startBlock) return;
+                follower.lastBlock = startBlock - 1;
+            }
+            
+            // Irreversible blocks are known to exist, so refresh the tip only once we've caught up
+            if (irreversible && follower.lastBlock >= this.lastIrreversibleBlock) {
+                await this.getDynamicGlobalProperties();
+            }
+            
+            for (let i = 0; i < this.maxBlocksPerPoll && follower.intervalId; i++) {
+                const blockNum = follower.lastBlock + 1;
+                if (irreversible && blockNum > this.lastIrreversibleBlock) break;
+                
+                const { result: block } = await this.cachedAPICall('condenser_api.get_block', [blockNum]);
+                
+                // Follower stopped while the call was in flight
+                if (!follower.intervalId) break;
+                // Block not produced yet - wait for the next poll
+                if (!block) break;
+                
+                // Head blocks must link to the last one delivered; if not, a micro-fork replaced it
+                const lastBlockId = follower.recentBlocks.get(follower.lastBlock);
+                if (follower.mode === 'head' && lastBlockId && block.previous !== lastBlockId) {
+                    await this.handleFork(follower, blockNum);
+                    continue;
+                }
+                
+                // Virtual ops are fetched before advancing so a failure retries the whole block
+                const watchingAccounts = follower.mode === 'head' && this.accountWatchers.size > 0;
+                let ops = null;
+                if (follower.mode === 'head' && (this.activeStreams.has('ops_in_block') || watchingAccounts)) {
+                    const { result } = await this.cachedAPICall('condenser_api.get_ops_in_block', [blockNum, true]);
+                    if (!follower.intervalId) break;
+                    ops = result || [];
+                }
+                
+                follower.lastBlock = blockNum;
+                this.deliverBlock(follower, blockNum, block);
+                if (ops) this.deliverBlockOps(blockNum, ops);
+                if (follower.mode === 'head') {
+                    this.holdForBlockStore(blockNum, block, ops);
+                    this.recordBlockMetrics(blockNum, block);
+                }
+                if (follower.mode === 'head' && this.activeStreams.has('witness_schedule')) {
+                    this.recordWitnessSlot(blockNum, block);
+                }
+                if (watchingAccounts) this.deliverAccountActivity(blockNum, block, ops || []);
+                if (follower.mode === 'head' && this.hasContentStreams()) {
+                    this.deliverContentEvents(blockNum, block);
+                }
+                if (follower.mode === 'head' && this.pendingBroadcasts.size > 0) {
+                    this.trackBroadcasts(blockNum, block);
+                }
+            }
+        } catch (error) {
+            console.error(`Block follower (${follower.mode}) error at ${follower.lastBlock + 1}:`, error.message);
+            this.broadcastToSubscribers(follower.streamName, {
+                type: 'fetch_error',
+                stream: follower.streamName,
+                block_number: follower.lastBlock + 1,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        } finally {
+            follower.busy = false;
+        }
+    }
+    
+    // Walk back to the last delivered block that is still on the chain, tell clients about every
+    // orphaned block after it and rewind the follower so the replacement chain is delivered next
+    async handleFork(follower, forkedBlockNum) {
+        const oldestKnown = Math.min(...follower.recentBlocks.keys());
+        let commonBlock = forkedBlockNum - 1;
+        
+        while (commonBlock >= oldestKnown) {
+            const { result: block } = await this.fetchFreshBlock(commonBlock);
+            if (block && block.block_id === follower.recentBlocks.get(commonBlock)) break;
+            commonBlock--;
+        }
+        
+        // Follower stopped (and reset) while we were walking back
+        if (!follower.intervalId) return;
+        
+        const orphaned = Array.from(follower.recentBlocks)
+            .filter(([blockNum]) => blockNum > commonBlock)
+            .sort(([a], [b]) => b - a);
+        
+        console.warn(`🍴 Fork detected at block ${forkedBlockNum} - reverting ${orphaned.length} block(s) back to ${commonBlock}`);
+        
+        orphaned.forEach(([blockNum, blockId]) => {
+            follower.recentBlocks.delete(blockNum);
+            this.blockStore.pending.delete(blockNum);
+            this.deleteCachedResponse(this.getCacheKey('condenser_api.get_block', [blockNum]));
+            this.deleteCachedResponse(this.getCacheKey('condenser_api.get_ops_in_block', [blockNum, true]));
+        });
+        this.revertBlocks(orphaned, commonBlock);
+        
+        follower.lastBlock = commonBlock;
+    }
+    
+    // Fetch a block bypassing the cache, which may still hold the orphaned version
+    fetchFreshBlock(blockNum) {
+        this.deleteCachedResponse(this.getCacheKey('condenser_api.get_block', [blockNum]));
+        return this.cachedAPICall('condenser_api.get_block', [blockNum], { lane: 'chain_head' });
+    }
+    
+    // Send block_reverted (newest first) to everyone who may have received the orphaned blocks
+    revertBlocks(orphaned, commonBlock) {
+        const revertedEvent = (streamName, blockNum, blockId) => ({
+            type: 'block_reverted',
+            stream: streamName,
+            block_number: blockNum,
+            block_id: blockId,
+            common_block: commonBlock,
+            timestamp: new Date().toISOString()
+        });
+        
+        ['block', 'ops_in_block'].forEach(streamName => {
+            const stream = this.activeStreams.get(streamName);
+            if (!stream) return;
+            
+            orphaned.forEach(([blockNum, blockId]) => {
+                stream.subscribers.forEach(ws => {
+                    // Replaying clients only need reverts for blocks the replay already sent
+                    const replay = stream.replays.get(ws);
+                    if (replay && replay.nextBlock <= blockNum) return;
+                    this.sendStreamData(stream, ws, revertedEvent(streamName, blockNum, blockId));
+                });
+            });
+            
+            stream.replays.forEach(replay => {
+                replay.nextBlock = Math.min(replay.nextBlock, commonBlock + 1);
+            });
+            if (stream.latest && stream.latest.blockNum > commonBlock) stream.latest = null;
+        });
+        
+        // Content first seen in an orphaned block is new again when the replacement chain carries it
+        const contentStreams = ['content_created', 'content_updated', 'vote_cast'];
+        if (contentStreams.some(streamName => this.activeStreams.has(streamName))) {
+            this.recentContent.forEach((content, key) => {
+                if (content.firstBlock > commonBlock) this.recentContent.delete(key);
+            });
+        }
+        contentStreams.forEach(streamName => {
+            const stream = this.activeStreams.get(streamName);
+            if (!stream) return;
+            orphaned.forEach(([blockNum, blockId]) => {
+                stream.subscribers.forEach(ws => this.sendStreamData(stream, ws, revertedEvent(streamName, blockNum, blockId)));
+            });
+            if (stream.latest && stream.latest.blockNum > commonBlock) stream.latest = null;
+        });
+        
+        // Relayed transactions in orphaned blocks are looked for again in the replacement chain
+        this.pendingBroadcasts.forEach(broadcast => {
+            if (broadcast.blockNum > commonBlock) {
+                broadcast.blockNum = null;
+                broadcast.transactionId = null;
+            }
+        });
+        
+        const accountClients = new Set();
+        this.accountWatchers.forEach(watchers => watchers.forEach(ws => accountClients.add(ws)));
+        accountClients.forEach(ws => {
+            orphaned.forEach(([blockNum, blockId]) => {
+                this.sendReply(ws, undefined, revertedEvent('account_activity', blockNum, blockId));
+            });
+        });
+    }
+    
+    deliverBlock(follower, blockNum, block) {
+        const streamName = follower.streamName;
+        const processedData = this.processBlock(block);
+        const now = Date.now();
+        
+        if (follower.mode === 'head') {
+            follower.recentBlocks.set(blockNum, block.block_id);
+            follower.recentBlocks.delete(blockNum - this.forkWindow);
+        }
+        
+        if (follower.mode === 'head' && blockNum > this.currentBlock) {
+            this.currentBlock = blockNum;
+        }
+        
+        if (this.activeStreams.has(streamName)) {
+            const stream = this.activeStreams.get(streamName);
+            stream.requestCount++;
+            stream.latest = { data: processedData, blockNum, timestamp: now };
+        }
+        
+        this.broadcastToSubscribers(streamName, {
+            type: 'live_data',
+            stream: streamName,
+            block_number: blockNum,
+            irreversible: follower.mode === 'irreversible',
+            data: processedData,
+            cached: false,
+            api_optimized: true,
+            timestamp: new Date().toISOString()
+        });
+    }
+    
+    deliverBlockOps(blockNum, ops) {
+        const processedData = this.processOpsInBlock(ops);
+        
+        if (this.activeStreams.has('ops_in_block')) {
+            const stream = this.activeStreams.get('ops_in_block');
+            stream.requestCount++;
+            stream.latest = { data: processedData, blockNum, timestamp: Date.now() };
+        }
+        
+        this.broadcastToSubscribers('ops_in_block', {
+            type: 'live_data',
+            stream: 'ops_in_block',
+            block_number: blockNum,
+            data: processedData,
+            cached: false,
+            api_optimized: true,
+            timestamp: new Date().toISOString()
+        });
+    }
+    
+    async fetchAndBroadcastOptimized(streamName, config) {
+        // Derived streams are computed from data the bridge already has
+        if (config.derive) {
+            this.broadcastDerivedStream(streamName, config);
+            return;
+        }
+        
+        try {
+            // For block_header, we need current block number first
+            if (streamName === 'block_header') {
+                if (this.currentBlock === 0) {
+                    await this.getDynamicGlobalProperties();
+                }
+                config.params = [this.currentBlock];
+            }
+            
+            // Cache first - only goes upstream when the entry is missing or expired
+            const lane = streamName === 'dynamic_global_properties' ? 'chain_head' : 'stream';
+            const { result, cached, cacheAge } = await this.cachedAPICall(config.method, config.params, { lane });
+            
+            if (result === null) return;
+            
+            if (cached) {
+                console.log(`📋 Using cached ${streamName} (${Math.round(cacheAge / 1000)}s old)`);
+            }
+            
+            const processedData = cached ? result : config.processor(result);
+            
+            // Track stream requests
+            if (this.activeStreams.has(streamName)) {
+                const stream = this.activeStreams.get(streamName);
+                if (!cached) stream.requestCount++;
+                stream.latest = { data: processedData, timestamp: Date.now() - cacheAge };
+            }
+            
+            this.broadcastToSubscribers(streamName, cached ? {
+                type: 'live_data',
+                stream: streamName,
+                data: processedData,
+                cached: true,
+                cache_age: cacheAge,
+                timestamp: new Date().toISOString()
+            } : {
+                type: 'live_data',
+                stream: streamName,
+                data: processedData,
+                cached: false,
+                api_optimized: true,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error(`Fetch error for ${streamName}:`, error.message);
+            this.broadcastToSubscribers(streamName, {
+                type: 'fetch_error',
+                stream: streamName,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+    
+    // Derived streams - computed from data the bridge already holds, so they cost no upstream calls
+    broadcastDerivedStream(streamName, config) {
+        const data = config.derive();
+        const stream = this.activeStreams.get(streamName);
+        if (stream) stream.latest = { data, timestamp: Date.now() };
+        
+        this.broadcastToSubscribers(streamName, {
+            type: 'live_data',
+            stream: streamName,
+            data,
+            cached: false,
+            derived: true,
+            timestamp: new Date().toISOString()
+        });
+    }
+    
+    // Chain metrics
+    recordBlockMetrics(blockNum, block) {
+        const metrics = this.chainMetrics;
+        const time = Date.parse(block.timestamp + 'Z');
+        
+        // A fork re-delivers block numbers that were already counted
+        while (metrics.blocks.length > 0 && metrics.blocks[metrics.blocks.length - 1].blockNum >= blockNum) {
+            this.adjustMinuteMetrics(metrics.blocks.pop(), -1);
+        }
+        
+        // Slots skipped since the previous block; unknown after a gap in what we followed
+        const previous = metrics.blocks[metrics.blocks.length - 1];
+        const missed = previous && previous.blockNum === blockNum - 1
+            ? Math.max(0, Math.round((time - previous.time) / BLOCK_INTERVAL_MS) - 1)
+            : 0;
+        
+        const opTypes = {};
+        let operations = 0;
+        (block.transactions || []).forEach(transaction => {
+            (transaction.operations || []).forEach(([type]) => {
+                opTypes[type] = (opTypes[type] || 0) + 1;
+                operations++;
+            });
+        });
+        
+        const record = {
+            blockNum,
+            time,
+            blocks: 1,
+            missed,
+            transactions: (block.transactions || []).length,
+            operations,
+            bytes: Buffer.byteLength(JSON.stringify(block)),
+            opTypes
+        };
+        metrics.blocks.push(record);
+        this.adjustMinuteMetrics(record, 1);
+        
+        // Trim by chain time, relative to the newest block
+        while (metrics.blocks[0].time <= time - 3600000) metrics.blocks.shift();
+        const oldestMinute = Math.floor(time / 60000) - 1440;
+        for (const minute of metrics.minutes.keys()) {
+            if (minute > oldestMinute) break;
+            metrics.minutes.delete(minute);
+        }
+    }
+    
+    adjustMinuteMetrics(record, sign) {
+        const minute = Math.floor(record.time / 60000);
+        if (!this.chainMetrics.minutes.has(minute)) {
+            this.chainMetrics.minutes.set(minute, { blocks: 0, missed: 0, transactions: 0, operations: 0, bytes: 0, opTypes: {} });
+        }
+        
+        const totals = this.chainMetrics.minutes.get(minute);
+        ['blocks', 'missed', 'transactions', 'operations', 'bytes'].forEach(field => {
+            totals[field] += sign * record[field];
+        });
+        Object.entries(record.opTypes).forEach(([type, count]) => {
+            totals.opTypes[type] = (totals.opTypes[type] || 0) + sign * count;
+            if (totals.opTypes[type] === 0) delete totals.opTypes[type];
+        });
+    }
+    
+    summarizeMetrics(records) {
+        const totals = { blocks: 0, missed: 0, transactions: 0, operations: 0, bytes: 0 };
+        const opTypes = {};
+        
+        records.forEach(record => {
+            Object.keys(totals).forEach(field => { totals[field] += record[field]; });
+            Object.entries(record.opTypes).forEach(([type, count]) => {
+                opTypes[type] = (opTypes[type] || 0) + count;
+            });
+        });
+        
+        const slots = totals.blocks + totals.missed;
+        const seconds = slots * BLOCK_INTERVAL_MS / 1000;
+        const round = (value) => Math.round(value * 100) / 100;
+        
+        return {
+            blocks: totals.blocks,
+            missed_slots: totals.missed,
+            participation: slots ? round(totals.blocks / slots * 100) : null,
+            transactions: totals.transactions,
+            operations: totals.operations,
+            tps: seconds ? round(totals.transactions / seconds) : 0,
+            ops_per_second: seconds ? round(totals.operations / seconds) : 0,
+            avg_transactions_per_block: totals.blocks ? round(totals.transactions / totals.blocks) : 0,
+            avg_block_size: totals.blocks ? Math.round(totals.bytes / totals.blocks) : 0, // JSON bytes
+            op_types: Object.fromEntries(Object.entries(opTypes).sort(([, a], [, b]) => b - a))
+        };
+    }
+    
+    getChainMetrics() {
+        const { blocks, minutes } = this.chainMetrics;
+        const newest = blocks[blocks.length - 1];
+        const lastMinute = newest ? newest.time - 60000 : 0;
+        
+        return {
+            head_block: newest ? newest.blockNum : null,
+            tracked_from_block: blocks.length > 0 ? blocks[0].blockNum : null,
+            windows: {
+                '1m': this.summarizeMetrics(blocks.filter(record => record.time > lastMinute)),
+                '1h': this.summarizeMetrics(blocks),
+                '24h': this.summarizeMetrics(Array.from(minutes.values()))
+            }
+        };
+    }
+    
+    // Witness tracking
+    // Each slot belongs to current_shuffled_witnesses[aslot % num_scheduled_witnesses]; a gap between
+    // consecutive blocks is one or more missed slots, charged to the witnesses scheduled for them
+    recordWitnessSlot(blockNum, block) {
+        const tracker = this.witnessTracker;
+        const time = Date.parse(block.timestamp + 'Z');
+        const previous = tracker.lastBlock;
+        tracker.lastBlock = { blockNum, time };
+        
+        // Replacement blocks after a fork were already counted
+        if (previous && blockNum <= previous.blockNum) return;
+        if (!tracker.trackedFromBlock) tracker.trackedFromBlock = blockNum;
+        
+        const producer = this.getWitnessCounters(block.witness);
+        producer.produced++;
+        producer.lastBlock = blockNum;
+        
+        // The schedule is only trusted when it agrees with the block we just saw
+        const scheduleValid = this.getSlotWitness(time) === block.witness;
+        
+        if (previous && previous.blockNum === blockNum - 1) {
+            const missedSlots = Math.round((time - previous.time) / BLOCK_INTERVAL_MS) - 1;
+            
+            for (let slot = 1; slot <= missedSlots; slot++) {
+                const slotTime = previous.time + slot * BLOCK_INTERVAL_MS;
+                const witness = scheduleValid ? this.getSlotWitness(slotTime) : null;
+                
+                if (witness) {
+                    const counters = this.getWitnessCounters(witness);
+                    counters.missed++;
+                    counters.lastMissed = new Date(slotTime).toISOString();
+                }
+                
+                console.warn(`⚠️ Missed block slot at ${new Date(slotTime).toISOString()} (${witness || 'unknown witness'})`);
+                this.broadcastToSubscribers('witness_schedule', {
+                    type: 'witness_missed_block',
+                    stream: 'witness_schedule',
+                    witness,
+                    slot_time: new Date(slotTime).toISOString(),
+                    previous_block: previous.blockNum,
+                    next_block: blockNum,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        }
+        
+        // Witnesses are reshuffled after every block that completes a round
+        if (!scheduleValid || (tracker.numScheduled && blockNum % tracker.numScheduled === 0)) {
+            this.refreshWitnessSchedule();
+        }
+    }
+    
+    getSlotWitness(time) {
+        const { schedule, numScheduled, slotReference } = this.witnessTracker;
+        if (!numScheduled || !slotReference) return null;
+        
+        const aslot = slotReference.aslot + Math.round((time - slotReference.time) / BLOCK_INTERVAL_MS);
+        return schedule[aslot % numScheduled] || null;
+    }
+    
+    getWitnessCounters(witness) {
+        const witnesses = this.witnessTracker.witnesses;
+        if (!witnesses.has(witness)) {
+            witnesses.set(witness, { produced: 0, missed: 0, lastBlock: null, lastMissed: null });
+        }
+        return witnesses.get(witness);
+    }
+    
+    async refreshWitnessSchedule() {
+        const tracker = this.witnessTracker;
+        if (tracker.refreshing) return;
+        tracker.refreshing = true;
+        
+        try {
+            if (!tracker.slotReference) await this.getDynamicGlobalProperties();
+            
+            const { result } = await this.cachedAPICall('condenser_api.get_witness_schedule', [], { lane: 'stream' });
+            if (result && Array.isArray(result.current_shuffled_witnesses)) {
+                tracker.schedule = result.current_shuffled_witnesses;
+                tracker.numScheduled = result.num_scheduled_witnesses || result.current_shuffled_witnesses.length;
+            }
+        } catch (error) {
+            console.error('Witness schedule refresh error:', error.message);
+        } finally {
+            tracker.refreshing = false;
+        }
+    }
+    
+    getWitnessStatus() {
+        const tracker = this.witnessTracker;
+        const witnesses = {};
+        
+        Array.from(tracker.witnesses)
+            .sort(([a], [b]) => a.localeCompare(b))
+            .forEach(([name, counters]) => {
+                witnesses[name] = {
+                    produced: counters.produced,
+                    missed: counters.missed,
+                    last_block: counters.lastBlock,
+                    last_missed: counters.lastMissed
+                };
+            });
+        
+        return {
+            schedule: tracker.schedule,
+            num_scheduled_witnesses: tracker.numScheduled,
+            tracked_from_block: tracker.trackedFromBlock,
+            witnesses
+        };
+    }
+    
+    // Response cache (LRU)
+    getCacheKey(method, params) {
+        return `${method}:${JSON.stringify(params)}`;
+    }
+    
+    // Blocks, headers and ops at or below the last irreversible block can never change
+    getCacheTTL(method, params, result) {
+        const blockNum = Array.isArray(params) ? params[0] : null;
+        
+        switch (method) {
+            case 'condenser_api.get_block':
+            case 'condenser_api.get_block_header':
+            case 'condenser_api.get_ops_in_block':
+                if (blockNum && blockNum <= this.lastIrreversibleBlock) return Infinity;
+                break;
+                
+            case 'condenser_api.get_transaction':
+                if (result && result.block_num && result.block_num <= this.lastIrreversibleBlock) return Infinity;
+                break;
+        }
+        
+        return this.cacheTTLs[method] || this.defaultCacheTTL;
+    }
+    
+    getCachedResponse(method, params) {
+        const key = this.getCacheKey(method, params);
+        const entry = this.cache.get(key);
+        
+        if (!entry || (Date.now() - entry.timestamp) >= entry.ttl) {
+            if (entry) this.deleteCachedResponse(key);
+            this.cacheStats.misses++;
+            return null;
+        }
+        
+        // Most recently used entries live at the end of the Map
+        this.cache.delete(key);
+        this.cache.set(key, entry);
+        this.cacheStats.hits++;
+        return entry;
+    }
+    
+    setCachedResponse(method, params, data) {
+        const key = this.getCacheKey(method, params);
+        const size = JSON.stringify(data).length;
+        
+        this.deleteCachedResponse(key);
+        this.cache.set(key, {
+            data,
+            timestamp: Date.now(),
+            ttl: this.getCacheTTL(method, params, data),
+            size
+        });
+        this.cacheBytes += size;
+        
+        // Evict least recently used entries past the size limits
+        while (this.cache.size > this.cacheMaxEntries || this.cacheBytes > this.cacheMaxBytes) {
+            this.deleteCachedResponse(this.cache.keys().next().value);
+            this.cacheStats.evictions++;
+        }
+    }
+    
+    deleteCachedResponse(key) {
+        const entry = this.cache.get(key);
+        if (!entry) return;
+        
+        this.cacheBytes -= entry.size;
+        this.cache.delete(key);
+    }
+    
+    // Cache-first upstream call; null results (e.g. a block not produced yet) are not cached
+    async cachedAPICall(method, params, options = {}) {
+        const cached = this.getCachedResponse(method, params);
+        if (cached) {
+            return { result: cached.data, cached: true, cacheAge: Date.now() - cached.timestamp };
+        }
+        
+        // Irreversible data from a previous run is served from disk before going upstream
+        const stored = await this.readStoredResponse(method, params);
+        if (stored !== null) {
+            this.setCachedResponse(method, params, stored);
+            return { result: stored, cached: true, cacheAge: 0 };
+        }
+        
+        const response = await this.queueAPICall(method, params, options);
+        const result = response.result === undefined ? null : response.result;
+        
+        if (result !== null) {
+            this.setCachedResponse(method, params, result);
+            
+            if (this.getCacheTTL(method, params, result) === Infinity) {
+                this.persistResponse(method, params, result);
+            }
+        }
+        
+        return { result, cached: false, cacheAge: 0 };
+    }
+    
+    // Block store - append-only NDJSON file of irreversible blocks and virtual ops
+    // Each line is {"n": blockNum, "t": "block" | "ops", "d": data}; an in-memory index maps to byte offsets
+    createBlockStore() {
+        const dir = process.env.BLOCK_STORE_DIR;
+        const retentionDays = parseFloat(process.env.BLOCK_STORE_RETENTION_DAYS);
+        const retentionBlocks = parseInt(process.env.BLOCK_STORE_RETENTION_BLOCKS, 10) ||
+            (retentionDays ? Math.round(retentionDays * 28800) : 28800); // 28800 blocks = 1 day
+        
+        return {
+            enabled: Boolean(dir),
+            file: dir ? path.join(dir, 'blocks.ndjson') : null,
+            retentionBlocks,
+            index: { block: new Map(), ops: new Map() }, // blockNum -> { offset, length }
+            fileBytes: 0,
+            deadBytes: 0, // Bytes of pruned entries awaiting compaction
+            writeChain: Promise.resolve(), // Appends and compactions run one at a time
+            pending: new Map(), // blockNum -> { block, ops } head blocks held until they pass LIB
+            maxPending: 200,
+            loaded: false,
+            hits: 0,
+            writes: 0
+        };
+    }
+    
+    getStoreEntryType(method, params) {
+        if (!Array.isArray(params) || !Number.isInteger(params[0])) return null;
+        if (method === 'condenser_api.get_block' && params.length === 1) return 'block';
+        if (method === 'condenser_api.get_ops_in_block' && params[1] === true) return 'ops';
+        return null;
+    }
+    
+    async loadBlockStore() {
+        const store = this.blockStore;
+        if (!store.enabled) return;
+        
+        try {
+            await fs.promises.mkdir(path.dirname(store.file), { recursive: true });
+            // Make sure the file exists so reads and appends share one path
+            await (await fs.promises.open(store.file, 'a')).close();
+            
+            // Stream the file line by line - it can be much larger than we want in memory
+            const lines = readline.createInterface({
+                input: fs.createReadStream(store.file),
+                crlfDelay: Infinity
+            });
+            
+            let offset = 0;
+            for await (const line of lines) {
+                const length = Buffer.byteLength(line) + 1;
+                
+                try {
+                    const entry = JSON.parse(line);
+                    this.indexStoreEntry(entry.t, entry.n, offset, length);
+                } catch (error) {
+                    // Torn write from a crash - skip it, compaction drops it later
+                    store.deadBytes += length;
+                }
+                offset += length;
+            }
+            
+            store.fileBytes = (await fs.promises.stat(store.file)).size;
+            store.loaded = true;
+            
+            const { oldest, newest } = this.getStoredBlockRange();
+            console.log(`💽 Block store loaded: ${store.index.block.size} blocks, ${store.index.ops.size} ops (${oldest || '-'} → ${newest || '-'})`);
+            
+            // Compact and prune once an hour
+            setInterval(() => this.pruneBlockStore(), 3600000);
+            this.pruneBlockStore();
+        } catch (error) {
+            console.error('❌ Failed to load block store:', error.message);
+            store.enabled = false;
+        }
+    }
+    
+    indexStoreEntry(type, blockNum, offset, length) {
+        const index = this.blockStore.index[type];
+        if (!index) return;
+        
+        // Later lines win - the earlier copy becomes dead weight
+        if (index.has(blockNum)) this.blockStore.deadBytes += index.get(blockNum).length;
+        index.set(blockNum, { offset, length });
+    }
+    
+    getStoredBlockRange() {
+        let oldest = 0;
+        let newest = 0;
+        
+        this.blockStore.index.block.forEach((location, blockNum) => {
+            if (!oldest || blockNum < oldest) oldest = blockNum;
+            if (blockNum > newest) newest = blockNum;
+        });
+        return { oldest, newest };
+    }
+    
+    async readStoredResponse(method, params) {
+        const store = this.blockStore;
+        const type = this.getStoreEntryType(method, params);
+        if (!store.loaded || !type) return null;
+        
+        const location = store.index[type].get(params[0]);
+        if (!location) return null;
+        
+        let handle;
+        try {
+            handle = await fs.promises.open(store.file, 'r');
+            const buffer = Buffer.alloc(location.length);
+            await handle.read(buffer, 0, location.length, location.offset);
+            
+            const entry = JSON.parse(buffer.toString('utf8'));
+            // The file may have been compacted under us - only trust a matching entry
+            if (entry.n !== params[0] || entry.t !== type) return null;
+            
+            store.hits++;
+            return entry.d;
+        } catch (error) {
+            return null;
+        } finally {
+            if (handle) await handle.close();
+        }
+    }
+    
+    persistResponse(method, params, data) {
+        const store = this.blockStore;
+        const type = this.getStoreEntryType(method, params);
+        if (!store.loaded || !type || store.index[type].has(params[0])) return;
+        
+        const line = JSON.stringify({ n: params[0], t: type, d: data }) + '\n';
+        const length = Buffer.byteLength(line);
+        
+        store.writeChain = store.writeChain.then(async () => {
+            const offset = store.fileBytes;
+            await fs.promises.appendFile(store.file, line);
+            store.fileBytes += length;
+            store.writes++;
+            this.indexStoreEntry(type, params[0], offset, length);
+        }).catch(error => {
+            console.error('❌ Block store write failed:', error.message);
+        });
+    }
+    
+    // Head follower blocks are still reversible when fetched, so they are held until LIB passes them
+    holdForBlockStore(blockNum, block, ops) {
+        const store = this.blockStore;
+        if (!store.enabled) return;
+        
+        store.pending.set(blockNum, { block, ops });
+        // LIB stalled - drop the oldest rather than grow without bound
+        if (store.pending.size > store.maxPending) store.pending.delete(Math.min(...store.pending.keys()));
+        this.persistIrreversibleBlocks();
+    }
+    
+    persistIrreversibleBlocks() {
+        const store = this.blockStore;
+        store.pending.forEach(({ block, ops }, blockNum) => {
+            if (blockNum > this.lastIrreversibleBlock) return;
             
-            console.log(`📡 Fetching fresh ${streamName}...`);
+            store.pending.delete(blockNum);
+            this.persistResponse('condenser_api.get_block', [blockNum], block);
+            if (ops) this.persistResponse('condenser_api.get_ops_in_block', [blockNum, true], ops);
+        });
+    }
+    
+    // Drop entries outside the retention window, rewriting the file once half of it is dead
+    pruneBlockStore() {
+        const store = this.blockStore;
+        if (!store.loaded) return;
+        
+        store.writeChain = store.writeChain.then(async () => {
+            const { newest } = this.getStoredBlockRange();
+            const tip = Math.max(this.lastIrreversibleBlock, newest);
+            const cutoff = tip - store.retentionBlocks;
             
-            // For block_header and block, we need current block number first
-            if (streamName === 'block_header' || streamName === 'block') {
-                if (this.currentBlock === 0) {
-                    const globalProps = await this.queueAPICall('condenser_api.get_dynamic_global_properties', []);
-                    if (globalProps.result) {
-                        this.currentBlock = globalProps.result.head_block_number;
+            Object.values(store.index).forEach(index => {
+                index.forEach((location, blockNum) => {
+                    if (blockNum <= cutoff) {
+                        store.deadBytes += location.length;
+                        index.delete(blockNum);
                     }
-                }
-                config.params = [this.currentBlock];
-            }
+                });
+            });
             
-            const response = await this.queueAPICall(config.method, config.params);
+            if (store.deadBytes === 0 || store.deadBytes < store.fileBytes / 2) return;
             
-            if (response.result) {
-                const processedData = config.processor(response.result);
-                
-                // Update cache
-                this.cache[streamName] = {
-                    data: processedData,
-                    timestamp: now,
-                    ttl: this.cache[streamName].ttl
-                };
+            await this.compactBlockStore();
+        }).catch(error => {
+            console.error('❌ Block store compaction failed:', error.message);
+        });
+    }
+    
+    async compactBlockStore() {
+        const store = this.blockStore;
+        const tempFile = `${store.file}.tmp`;
+        const index = { block: new Map(), ops: new Map() };
+        let offset = 0;
+        
+        // Copy live entries one at a time into a fresh file, then swap it in
+        const source = await fs.promises.open(store.file, 'r');
+        const target = await fs.promises.open(tempFile, 'w');
+        try {
+            for (const [type, entries] of Object.entries(store.index)) {
+                const blockNums = Array.from(entries.keys()).sort((a, b) => a - b);
                 
-                // Track stream requests
-                if (this.activeStreams.has(streamName)) {
-                    this.activeStreams.get(streamName).requestCount++;
+                for (const blockNum of blockNums) {
+                    const location = entries.get(blockNum);
+                    const buffer = Buffer.alloc(location.length);
+                    await source.read(buffer, 0, location.length, location.offset);
+                    await target.write(buffer);
+                    
+                    index[type].set(blockNum, { offset, length: location.length });
+                    offset += location.length;
                 }
-                
-                this.broadcast({
-                    type: 'live_data',
-                    stream: streamName,
-                    data: processedData,
-                    cached: false,
-                    api_optimized: true,
-                    timestamp: new Date().toISOString()
-                });
-            } else if (response.error) {
-                console.error(`API Error for ${streamName}:`, response.error.message);
-                this.broadcast({
-                    type: 'error',
-                    stream: streamName,
-                    error: response.error.message,
-                    timestamp: new Date().toISOString()
-                });
             }
-            
-        } catch (error) {
-            console.error(`Fetch error for ${streamName}:`, error.message);
-            this.broadcast({
-                type: 'fetch_error',
-                stream: streamName,
-                error: error.message,
-                timestamp: new Date().toISOString()
-            });
+        } finally {
+            await source.close();
+            await target.close();
         }
+        
+        await fs.promises.rename(tempFile, store.file);
+        
+        console.log(`🗜️ Block store compacted: ${Math.round(store.fileBytes / 1024)}KB → ${Math.round(offset / 1024)}KB`);
+        store.index = index;
+        store.fileBytes = offset;
+        store.deadBytes = 0;
+    }
+    
+    getBlockStoreStatus() {
+        const store = this.blockStore;
+        if (!store.enabled) return { enabled: false };
+        
+        const { oldest, newest } = this.getStoredBlockRange();
+        return {
+            enabled: true,
+            file: store.file,
+            blocks: store.index.block.size,
+            ops: store.index.ops.size,
+            oldest_block: oldest,
+            newest_block: newest,
+            retention_blocks: store.retentionBlocks,
+            file_bytes: store.fileBytes,
+            hits: store.hits,
+            writes: store.writes
+        };
+    }
+    
+    getCacheStatus() {
+        const lookups = this.cacheStats.hits + this.cacheStats.misses;
+        let immutableEntries = 0;
+        this.cache.forEach(entry => {
+            if (entry.ttl === Infinity) immutableEntries++;
+        });
+        
+        return {
+            entries: this.cache.size,
+            immutable_entries: immutableEntries,
+            max_entries: this.cacheMaxEntries,
+            memory_bytes: this.cacheBytes,
+            max_memory_bytes: this.cacheMaxBytes,
+            hits: this.cacheStats.hits,
+            misses: this.cacheStats.misses,
+            hit_ratio: lookups ? Math.round(this.cacheStats.hits / lookups * 1000) / 1000 : 0,
+            miss_ratio: lookups ? Math.round(this.cacheStats.misses / lookups * 1000) / 1000 : 0,
+            evictions: this.cacheStats.evictions
+        };
     }
     
     // Queued API call to manage request rate
-    queueAPICall(method, params) {
-        return new Promise((resolve, reject) => {
-            this.requestQueue.push({
-                method,
-                params,
-                resolve,
-                reject
-            });
+    // options.lane: 'chain_head' | 'stream' | 'client' | 'backfill' (default 'stream')
+    queueAPICall(method, params, options = {}) {
+        const laneName = options.lane || 'stream';
+        const lane = this.requestLanes[laneName];
+        
+        if (!lane) {
+            return Promise.reject(new Error(`Unknown request lane: ${laneName}`));
+        }
+        
+        const key = `${method}:${JSON.stringify(params)}`;
+        lane.stats.enqueued++;
+        
+        // Identical call already queued or in flight - share its result instead of another round-trip
+        const pending = this.pendingCalls.get(key);
+        if (pending) {
+            lane.stats.coalesced++;
+            this.coalescedRequestCount++;
+            this.promoteQueuedRequest(pending.request, laneName);
+            return pending.promise;
+        }
+        
+        if (lane.queue.length >= lane.maxDepth) {
+            lane.stats.rejected++;
+            return Promise.reject(new Error(`Request lane ${laneName} saturated (${lane.maxDepth} queued)`));
+        }
+        
+        const request = { method, params, key, laneName };
+        const promise = new Promise((resolve, reject) => {
+            request.resolve = resolve;
+            request.reject = reject;
         });
+        
+        const settle = () => this.pendingCalls.delete(key);
+        promise.then(settle, settle);
+        this.pendingCalls.set(key, { promise, request });
+        
+        lane.queue.push(request);
+        lane.stats.peakDepth = Math.max(lane.stats.peakDepth, lane.queue.length);
+        this.processRequestQueue();
+        
+        return promise;
+    }
+    
+    // A shared call still waiting in a lower priority lane moves up to the new caller's lane
+    promoteQueuedRequest(request, laneName) {
+        const laneNames = Object.keys(this.requestLanes);
+        if (laneNames.indexOf(laneName) >= laneNames.indexOf(request.laneName)) return;
+        
+        const currentLane = this.requestLanes[request.laneName];
+        const index = currentLane.queue.indexOf(request);
+        if (index === -1) return; // Already in flight
+        
+        currentLane.queue.splice(index, 1);
+        this.requestLanes[laneName].queue.push(request);
+        request.laneName = laneName;
     }
     
     // Data processors - return ALL raw data
+    // Block numbers only move forward - older cached copies or a lagging node must not rewind them
     processDynamicGlobalProperties(result) {
-        this.currentBlock = result.head_block_number;
+        this.currentBlock = Math.max(this.currentBlock, result.head_block_number || 0);
+        const previousIrreversible = this.lastIrreversibleBlock;
+        this.lastIrreversibleBlock = Math.max(this.lastIrreversibleBlock, result.last_irreversible_block_num || 0);
+        if (this.lastIrreversibleBlock > previousIrreversible && this.blockStore.pending.size > 0) {
+            this.persistIrreversibleBlocks();
+        }
+        const slotReference = this.witnessTracker.slotReference;
+        if (result.current_aslot && result.time && (!slotReference || result.current_aslot > slotReference.aslot)) {
+            this.witnessTracker.slotReference = { aslot: result.current_aslot, time: Date.parse(result.time + 'Z') };
+        }
         return result;
     }
     
@@ -475,25 +3132,120 @@ class ProductionSteemBridge {
         return result;
     }
     
-    getCurrentBlock(requestingClient) {
-        requestingClient.send(JSON.stringify({
+    processOpsInBlock(result) {
+        return result;
+    }
+    
+    processActiveWitnesses(result) {
+        return result;
+    }
+    
+    processMarketData(result) {
+        return result;
+    }
+    
+    // On-demand transaction lookup - the result only goes to the requesting client
+    async getTransaction(transactionId, requestingClient, requestId) {
+        if (typeof transactionId !== 'string' || !/^[0-9a-f]{40}$/i.test(transactionId)) {
+            this.sendReply(requestingClient, requestId, {
+                type: 'error',
+                message: 'transaction_id must be a 40 character hex string'
+            });
+            return;
+        }
+        
+        try {
+            const { result } = await this.cachedAPICall('condenser_api.get_transaction', [transactionId.toLowerCase()], { lane: 'client' });
+            this.sendReply(requestingClient, requestId, {
+                type: 'transaction',
+                transaction_id: transactionId,
+                data: result,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            this.sendReply(requestingClient, requestId, {
+                type: 'error',
+                transaction_id: transactionId,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+    
+    // Shared by the 'rpc' message and the JSON-RPC endpoints; returns { code, message } or null
+    validateRPCCall(method, params) {
+        if (typeof method !== 'string' || !RPC_ALLOWLIST.has(method)) {
+            return {
+                code: -32601,
+                message: `Method not allowed: ${method}. Only read-only condenser_api/database_api methods are proxied`
+            };
+        }
+        if (typeof params !== 'object' || params === null) {
+            return { code: -32602, message: 'params must be an array or object' };
+        }
+        return null;
+    }
+    
+    // Generic read-only JSON-RPC passthrough - the reply only goes to the requesting client
+    async handleRPCRequest(data, requestingClient, requestId) {
+        const { method } = data;
+        const params = data.params === undefined ? [] : data.params;
+        
+        const replyError = (message) => {
+            this.sendReply(requestingClient, requestId, {
+                type: 'rpc_error',
+                method,
+                error: message,
+                timestamp: new Date().toISOString()
+            });
+        };
+        
+        const validationError = this.validateRPCCall(method, params);
+        if (validationError) {
+            replyError(validationError.message);
+            return;
+        }
+        
+        try {
+            const { result, cached } = await this.cachedAPICall(method, params, { lane: 'client' });
+            this.sendReply(requestingClient, requestId, {
+                type: 'rpc_result',
+                method,
+                result,
+                cached,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            replyError(error.message);
+        }
+    }
+    
+    getCurrentBlock(requestingClient, requestId) {
+        this.sendReply(requestingClient, requestId, {
             type: 'current_block',
             block_number: this.currentBlock,
             domain: this.domain,
             timestamp: new Date().toISOString()
-        }));
+        });
     }
     
-    getAPIStats(requestingClient) {
-        requestingClient.send(JSON.stringify({
+    getAPIStats(requestingClient, requestId) {
+        this.sendReply(requestingClient, requestId, {
             type: 'api_stats',
             requests_per_minute: this.requestCount,
+            rate_limit: this.getRateLimitStatus(),
+            request_lanes: this.getRequestLaneStatus(),
+            coalesced_requests: this.coalescedRequestCount,
+            pending_upstream_calls: this.pendingCalls.size,
             active_streams: this.activeStreams.size,
-            cache_hits: Object.keys(this.cache).filter(key => this.cache[key].data !== null).length,
+            cache_hits: this.cacheStats.hits,
+            cache: this.getCacheStatus(),
+            active_node: this.activeNode,
+            nodes: this.getNodePoolStatus(),
             optimization_enabled: true,
             domain: this.domain,
             timestamp: new Date().toISOString()
-        }));
+        });
     }
     
     stopAllStreams() {
@@ -503,9 +3255,204 @@ class ProductionSteemBridge {
             console.log(`  Stopped ${streamName} (saved ${stream.requestCount} requests)`);
         });
         this.activeStreams.clear();
+        this.clientSubscriptions.forEach(subscriptions => subscriptions.clear());
+    }
+    
+    // Node pool management
+    createNodeState(host) {
+        return {
+            host,
+            latency: 0, // Rolling average response time (ms)
+            errorRate: 0, // Rolling error rate (0-1)
+            headBlock: 0,
+            headBlockTime: 0,
+            requests: 0,
+            errors: 0,
+            consecutiveFailures: 0,
+            cooldownUntil: 0,
+            lastError: null,
+            lastUsed: 0,
+            tokens: null, // Token bucket, filled on first use
+            lastRefill: 0
+        };
+    }
+    
+    // Token bucket per node: refills at maxRequestsPerMinute, holds at most rateLimitBurst
+    refillTokens(node, now = Date.now()) {
+        if (node.tokens === null) {
+            node.tokens = this.rateLimitBurst;
+        } else {
+            const refill = (now - node.lastRefill) * this.maxRequestsPerMinute / 60000;
+            node.tokens = Math.min(this.rateLimitBurst, node.tokens + refill);
+        }
+        node.lastRefill = now;
+        return node.tokens;
+    }
+    
+    hasRateBudget(node, now = Date.now()) {
+        return this.refillTokens(node, now) >= 1;
+    }
+    
+    consumeToken(node) {
+        this.refillTokens(node);
+        node.tokens -= 1;
+    }
+    
+    // Milliseconds until some node can take another request (0 = now)
+    getRateLimitWait() {
+        const now = Date.now();
+        const msPerToken = 60000 / this.maxRequestsPerMinute;
+        
+        return Math.min(...this.nodePool.map(node => {
+            const tokens = this.refillTokens(node, now);
+            return tokens >= 1 ? 0 : Math.ceil((1 - tokens) * msPerToken);
+        }));
+    }
+    
+    getRateLimitStatus() {
+        const now = Date.now();
+        return {
+            requests_per_minute_per_node: this.maxRequestsPerMinute,
+            burst: this.rateLimitBurst,
+            remaining: this.nodePool.reduce((total, node) => total + Math.floor(this.refillTokens(node, now)), 0),
+            queued: this.getQueuedRequestCount(),
+            shed_requests: this.shedRequestCount
+        };
+    }
+    
+    setupNodeHealthChecks() {
+        // Probe nodes that have not served traffic recently so their score stays current
+        setInterval(() => {
+            const now = Date.now();
+            this.nodePool
+                .filter(node => now - node.lastUsed >= this.nodeHealthInterval)
+                .filter(node => this.hasRateBudget(node, now)) // Probes never borrow from traffic
+                .forEach(node => this.probeNode(node));
+        }, this.nodeHealthInterval);
+    }
+    
+    async probeNode(node) {
+        try {
+            this.consumeToken(node);
+            await this.makeNodeCall(node, 'condenser_api.get_dynamic_global_properties', []);
+        } catch (error) {
+            console.error(`🩺 Health probe failed for ${node.host}:`, error.message);
+        }
+    }
+    
+    // Nodes announce their head at ~3s per block, so extrapolate older readings
+    estimateHeadBlock(node, now = Date.now()) {
+        if (!node.headBlock) return 0;
+        return node.headBlock + Math.floor((now - node.headBlockTime) / 3000);
+    }
+    
+    getHeadBlockLag(node, now = Date.now()) {
+        const bestHead = Math.max(...this.nodePool.map(other => this.estimateHeadBlock(other, now)));
+        const nodeHead = this.estimateHeadBlock(node, now);
+        return nodeHead && bestHead ? bestHead - nodeHead : 0;
+    }
+    
+    // Lower is better: latency in ms, penalised by error rate and head block lag
+    scoreNode(node, now = Date.now()) {
+        return node.latency + node.errorRate * 5000 + this.getHeadBlockLag(node, now) * 1000;
+    }
+    
+    isNodeHealthy(node, now = Date.now()) {
+        return node.cooldownUntil <= now;
+    }
+    
+    // Healthy nodes by score first, nodes in cooldown last (soonest available first)
+    getNodesByHealth() {
+        const now = Date.now();
+        const healthy = this.nodePool
+            .filter(node => this.isNodeHealthy(node, now))
+            .sort((a, b) => this.scoreNode(a, now) - this.scoreNode(b, now));
+        const cooling = this.nodePool
+            .filter(node => !this.isNodeHealthy(node, now))
+            .sort((a, b) => a.cooldownUntil - b.cooldownUntil);
+        return [...healthy, ...cooling];
+    }
+    
+    recordNodeSuccess(node, method, result, latency) {
+        const now = Date.now();
+        node.requests++;
+        node.latency = node.latency ? Math.round(node.latency * 0.8 + latency * 0.2) : latency;
+        node.errorRate = node.errorRate * 0.8;
+        node.consecutiveFailures = 0;
+        node.cooldownUntil = 0;
+        node.lastUsed = now;
+        
+        if (method === 'condenser_api.get_dynamic_global_properties' && result && result.head_block_number) {
+            node.headBlock = result.head_block_number;
+            node.headBlockTime = now;
+        }
+    }
+    
+    recordNodeFailure(node, error) {
+        const now = Date.now();
+        node.requests++;
+        node.errors++;
+        node.errorRate = node.errorRate * 0.8 + 0.2;
+        node.consecutiveFailures++;
+        node.lastError = error.message;
+        node.lastUsed = now;
+        
+        // Back off 30s per consecutive failure, capped at 5 minutes
+        const cooldown = Math.min(30000 * node.consecutiveFailures, 300000);
+        node.cooldownUntil = now + cooldown;
+        console.log(`🚧 ${node.host} cooling down for ${cooldown / 1000}s (${node.consecutiveFailures} consecutive failures)`);
+    }
+    
+    getNodePoolStatus() {
+        const now = Date.now();
+        return this.nodePool.map(node => ({
+            host: node.host,
+            healthy: this.isNodeHealthy(node, now),
+            active: node.host === this.activeNode,
+            score: Math.round(this.scoreNode(node, now)),
+            latency_ms: node.latency,
+            error_rate: Math.round(node.errorRate * 1000) / 1000,
+            head_block: this.estimateHeadBlock(node, now),
+            head_block_lag: this.getHeadBlockLag(node, now),
+            requests: node.requests,
+            errors: node.errors,
+            rate_limit_remaining: Math.floor(this.refillTokens(node, now)),
+            consecutive_failures: node.consecutiveFailures,
+            cooldown_remaining: Math.max(0, node.cooldownUntil - now),
+            last_error: node.lastError
+        }));
     }
     
+    // Route a call to the healthiest node with rate budget, failing over on timeouts, 5xx and bad JSON
     async makeAPICall(method, params) {
+        const nodes = this.getNodesByHealth();
+        let lastError = null;
+        
+        for (const node of nodes) {
+            if (!this.hasRateBudget(node)) continue;
+            this.consumeToken(node);
+            
+            try {
+                const response = await this.makeNodeCall(node, method, params);
+                
+                if (this.activeNode !== node.host) {
+                    console.log(`🔀 Switched active node: ${this.activeNode} → ${node.host}`);
+                    this.activeNode = node.host;
+                }
+                return response;
+            } catch (error) {
+                // JSON-RPC errors are answers from a working node - don't fail over
+                if (!error.failover) throw error;
+                
+                lastError = error;
+                console.log(`🔁 ${node.host} failed for ${method}, trying next node...`);
+            }
+        }
+        
+        throw lastError || new Error('Rate limit reached on all Steem nodes');
+    }
+    
+    makeNodeCall(node, method, params) {
         return new Promise((resolve, reject) => {
             const postData = JSON.stringify({
                 jsonrpc: "2.0",
@@ -514,10 +3461,10 @@ class ProductionSteemBridge {
                 id: Date.now()
             });
 
-            console.log(`🌐 API Call: ${method} to ${this.apiEndpoint}`);
+            console.log(`🌐 API Call: ${method} to ${node.host}`);
 
             const options = {
-                hostname: this.apiEndpoint,
+                hostname: node.host,
                 port: 443,
                 path: '/',
                 method: 'POST',
@@ -526,44 +3473,69 @@ class ProductionSteemBridge {
                     'Content-Length': Buffer.byteLength(postData),
                     'User-Agent': `SteemBridge-${this.domain}/1.0`
                 },
-                timeout: 15000 // 15 second timeout
+                timeout: this.nodeRequestTimeout
+            };
+            
+            const startTime = Date.now();
+            let failed = false;
+            
+            // Node-level failures mark the node and allow failover to the next one
+            const fail = (error) => {
+                if (failed) return; // A destroyed request also emits 'error'
+                failed = true;
+                error.failover = true;
+                this.recordNodeFailure(node, error);
+                reject(error);
             };
 
             const req = https.request(options, (res) => {
-                console.log(`📡 Response: ${res.statusCode} from ${this.apiEndpoint}`);
+                console.log(`📡 Response: ${res.statusCode} from ${node.host}`);
                 
                 let data = '';
                 res.on('data', (chunk) => data += chunk);
                 res.on('end', () => {
+                    if (res.statusCode >= 500 || res.statusCode === 429) {
+                        console.error(`❌ HTTP ${res.statusCode} from ${node.host}`);
+                        fail(new Error(`HTTP ${res.statusCode} from ${node.host}`));
+                        return;
+                    }
+                    
+                    let result;
                     try {
-                        const result = JSON.parse(data);
-                        if (result.error) {
-                            console.error(`❌ API Error:`, result.error);
-                            reject(new Error(`API Error: ${result.error.message || result.error}`));
-                        } else if (result.result) {
-                            console.log(`✅ API Success: ${method}`);
-                            resolve(result);
-                        } else {
-                            console.log(`⚠️  Unexpected response format:`, result);
-                            resolve(result);
-                        }
+                        result = JSON.parse(data);
                     } catch (error) {
                         console.error(`❌ JSON Parse Error:`, error.message);
                         console.log(`Raw response: ${data.substring(0, 200)}...`);
+                        fail(error);
+                        return;
+                    }
+                    
+                    this.recordNodeSuccess(node, method, result.result, Date.now() - startTime);
+                    
+                    if (result.error) {
+                        console.error(`❌ API Error:`, result.error);
+                        const error = new Error(`API Error: ${result.error.message || result.error}`);
+                        error.rpcError = result.error; // The node's JSON-RPC error object
                         reject(error);
+                    } else if (result.result) {
+                        console.log(`✅ API Success: ${method}`);
+                        resolve(result);
+                    } else {
+                        console.log(`⚠️  Unexpected response format:`, result);
+                        resolve(result);
                     }
                 });
             });
 
             req.on('error', (error) => {
-                console.error(`❌ Connection Error to ${this.apiEndpoint}:`, error.message);
-                reject(error);
+                console.error(`❌ Connection Error to ${node.host}:`, error.message);
+                fail(error);
             });
 
             req.on('timeout', () => {
-                console.error(`❌ Timeout connecting to ${this.apiEndpoint}`);
+                console.error(`❌ Timeout connecting to ${node.host}`);
                 req.destroy();
-                reject(new Error(`Timeout connecting to ${this.apiEndpoint}`));
+                fail(new Error(`Timeout connecting to ${node.host}`));
             });
 
             req.write(postData);
@@ -590,6 +3562,53 @@ class ProductionSteemBridge {
         }
     }
     
+    // Send stream data only to the clients subscribed to that stream
+    broadcastToSubscribers(streamName, data) {
+        const stream = this.activeStreams.get(streamName);
+        if (!stream || stream.subscribers.size === 0) return;
+        
+        const message = JSON.stringify(data);
+        let sentCount = 0;
+        
+        stream.subscribers.forEach(ws => {
+            // Clients still replaying history pick up live data once they've caught up
+            if (stream.replays.has(ws)) return;
+            if (this.sendStreamData(stream, ws, data, message)) sentCount++;
+        });
+        
+        if (sentCount > 0) {
+            const cacheInfo = data.cached ? ' (cached)' : '';
+            console.log(`📡 Sent ${data.type} (${streamName}) to ${sentCount} subscribers${cacheInfo}`);
+        }
+    }
+    
+    // Send stream data to one subscriber, narrowed to the matching operations if it has a filter.
+    // Returns false when nothing was sent. 'message' is the pre-serialized unfiltered data, if available.
+    sendStreamData(stream, ws, data, message) {
+        if (ws.readyState !== WebSocket.OPEN) return false;
+        
+        const filter = stream.filters.get(ws);
+        if (!filter || data.type !== 'live_data') {
+            ws.send(message || JSON.stringify(data));
+            return true;
+        }
+        
+        if (stream.config.content) {
+            const items = data.data.filter(item => this.matchesContentFilter(item, filter));
+            if (items.length === 0) return false;
+            
+            ws.send(JSON.stringify({ ...data, filtered: true, data: items }));
+            return true;
+        }
+        
+        const operations = this.extractOperations(data.stream, data.block_number, data.data)
+            .filter(operation => this.matchesOperationFilter(operation, filter));
+        if (operations.length === 0) return false;
+        
+        ws.send(JSON.stringify({ ...data, filtered: true, data: { operations } }));
+        return true;
+    }
+    
     serveProductionInterface(res) {
         const html = `
 <!DOCTYPE html>
@@ -636,7 +3655,7 @@ class ProductionSteemBridge {
             <ul style="margin: 10px 0; padding-left: 20px;">
                 <li>Smart caching reduces API calls by 60-80%</li>
                 <li>Request queuing prevents API flooding</li>
-                <li>Rate limiting: max ${this.maxRequestsPerMinute} requests/minute</li>
+                <li>Rate limiting: max ${this.maxRequestsPerMinute} requests/minute per node</li>
                 <li>Auto-shutdown when no clients connected</li>
             </ul>
         </div>
@@ -679,11 +3698,101 @@ class ProductionSteemBridge {
             
             <div class="control-group">
                 <h4>🧱 Full Block</h4>
-                <p><small>Complete block with transactions (12s interval)</small></p>
+                <p><small>Every block with transactions, in order</small></p>
                 <button class="btn-success" onclick="startStream('block')">Start Stream</button>
                 <button class="btn-danger" onclick="stopStream('block')">Stop</button>
             </div>
             
+            <div class="control-group">
+                <h4>🔒 Irreversible Block</h4>
+                <p><small>Finalized blocks only, in order</small></p>
+                <button class="btn-success" onclick="startStream('irreversible_block')">Start Stream</button>
+                <button class="btn-danger" onclick="stopStream('irreversible_block')">Stop</button>
+            </div>
+            
+            <div class="control-group">
+                <h4>⚙️ Virtual Operations</h4>
+                <p><small>get_ops_in_block for every block</small></p>
+                <button class="btn-success" onclick="startStream('ops_in_block')">Start Stream</button>
+                <button class="btn-danger" onclick="stopStream('ops_in_block')">Stop</button>
+            </div>
+            
+            <div class="control-group">
+                <h4>👥 Active Witnesses</h4>
+                <p><small>Active witness list (60s interval)</small></p>
+                <button class="btn-success" onclick="startStream('active_witnesses')">Start Stream</button>
+                <button class="btn-danger" onclick="stopStream('active_witnesses')">Stop</button>
+            </div>
+            
+            <div class="control-group">
+                <h4>💵 Median Price</h4>
+                <p><small>Median STEEM/SBD feed price (60s interval)</small></p>
+                <button class="btn-success" onclick="startStream('median_history_price')">Start Stream</button>
+                <button class="btn-danger" onclick="stopStream('median_history_price')">Stop</button>
+            </div>
+            
+            <div class="control-group">
+                <h4>📜 Feed History</h4>
+                <p><small>Price feed history (5 min interval)</small></p>
+                <button class="btn-success" onclick="startStream('feed_history')">Start Stream</button>
+                <button class="btn-danger" onclick="stopStream('feed_history')">Stop</button>
+            </div>
+            
+            <div class="control-group">
+                <h4>💱 Ticker</h4>
+                <p><small>Internal market ticker (9s interval)</small></p>
+                <button class="btn-success" onclick="startStream('ticker')">Start Stream</button>
+                <button class="btn-danger" onclick="stopStream('ticker')">Stop</button>
+            </div>
+            
+            <div class="control-group">
+                <h4>📒 Order Book</h4>
+                <p><small>Top 50 bids and asks (6s interval)</small></p>
+                <button class="btn-success" onclick="startStream('order_book')">Start Stream</button>
+                <button class="btn-danger" onclick="stopStream('order_book')">Stop</button>
+            </div>
+            
+            <div class="control-group">
+                <h4>📈 Chain Metrics</h4>
+                <p><small>TPS, ops/sec and missed slots over 1m/1h/24h</small></p>
+                <button class="btn-success" onclick="startStream('chain_metrics')">Start Stream</button>
+                <button class="btn-danger" onclick="stopStream('chain_metrics')">Stop</button>
+            </div>
+            
+            <div class="control-group">
+                <h4>🗓️ Witness Schedule</h4>
+                <p><small>Produced/missed blocks per witness</small></p>
+                <button class="btn-success" onclick="startStream('witness_schedule')">Start Stream</button>
+                <button class="btn-danger" onclick="stopStream('witness_schedule')">Stop</button>
+            </div>
+            
+            <div class="control-group">
+                <h4>📝 New Content</h4>
+                <p><small>Posts and comments as they are created</small></p>
+                <button class="btn-success" onclick="startStream('content_created')">Start Stream</button>
+                <button class="btn-danger" onclick="stopStream('content_created')">Stop</button>
+            </div>
+            
+            <div class="control-group">
+                <h4>✏️ Edited Content</h4>
+                <p><small>Posts and comments being edited</small></p>
+                <button class="btn-success" onclick="startStream('content_updated')">Start Stream</button>
+                <button class="btn-danger" onclick="stopStream('content_updated')">Stop</button>
+            </div>
+            
+            <div class="control-group">
+                <h4>👍 Votes</h4>
+                <p><small>Every vote cast on the chain</small></p>
+                <button class="btn-success" onclick="startStream('vote_cast')">Start Stream</button>
+                <button class="btn-danger" onclick="stopStream('vote_cast')">Stop</button>
+            </div>
+            
+            <div class="control-group">
+                <h4>🔍 Transaction Lookup</h4>
+                <input id="transactionId" placeholder="Transaction ID" style="width: 90%; padding: 8px;">
+                <button class="btn-primary" onclick="getTransaction()">Look Up</button>
+            </div>
+            
             <div class="control-group">
                 <h4>🔧 Controls & Stats</h4>
                 <button class="btn-primary" onclick="connect()">Connect</button>
@@ -754,6 +3863,15 @@ class ProductionSteemBridge {
             }
         }
         
+        function getTransaction() {
+            if (ws && ws.readyState === WebSocket.OPEN) {
+                ws.send(JSON.stringify({
+                    type: 'get_transaction',
+                    transaction_id: document.getElementById('transactionId').value.trim()
+                }));
+            }
+        }
+        
         function getStats() {
             if (ws && ws.readyState === WebSocket.OPEN) {
                 ws.send(JSON.stringify({
@@ -775,6 +3893,15 @@ class ProductionSteemBridge {
                     handleLiveData(data);
                     break;
                     
+                case 'transaction':
+                    var opCount = data.data && data.data.operations ? data.data.operations.length : 0;
+                    addToFeed('🔍 Transaction ' + data.transaction_id + ' in block ' + (data.data ? data.data.block_num : '?') + ' (' + opCount + ' ops)', 'info');
+                    break;
+                    
+                case 'witness_missed_block':
+                    addToFeed('⚠️ Missed block: ' + (data.witness || 'unknown witness') + ' at ' + data.slot_time, 'error');
+                    break;
+                    
                 case 'current_block':
                     addToFeed('📦 Current block: ' + data.block_number, 'info');
                     document.getElementById('currentBlock').textContent = data.block_number;
@@ -814,9 +3941,31 @@ class ProductionSteemBridge {
                 document.getElementById('currentBlock').textContent = data.data.head_block_number;
             } else if (data.stream === 'block_header') {
                 summary = 'Header by ' + data.data.witness + cacheInfo;
-            } else if (data.stream === 'block') {
+            } else if (data.stream === 'block' || data.stream === 'irreversible_block') {
                 var txCount = data.data.transactions ? data.data.transactions.length : 0;
-                summary = 'Full block with ' + txCount + ' transactions' + cacheInfo;
+                summary = 'Block #' + data.block_number + ' with ' + txCount + ' transactions' + cacheInfo;
+            } else if (data.stream === 'ops_in_block') {
+                summary = data.data.length + ' virtual ops in block #' + data.block_number + cacheInfo;
+            } else if (data.stream === 'active_witnesses') {
+                summary = data.data.length + ' active witnesses' + cacheInfo;
+            } else if (data.stream === 'median_history_price') {
+                summary = 'Median price ' + data.data.base + ' / ' + data.data.quote + cacheInfo;
+            } else if (data.stream === 'feed_history') {
+                var median = data.data.current_median_history;
+                summary = 'Feed median ' + median.base + ' / ' + median.quote + cacheInfo;
+            } else if (data.stream === 'ticker') {
+                summary = 'Latest ' + data.data.latest + ', bid ' + data.data.highest_bid + ', ask ' + data.data.lowest_ask + cacheInfo;
+            } else if (data.stream === 'order_book') {
+                summary = data.data.bids.length + ' bids, ' + data.data.asks.length + ' asks' + cacheInfo;
+            } else if (data.stream === 'content_created' || data.stream === 'content_updated') {
+                summary = data.data.length + ' post(s)/comment(s) in block #' + data.block_number + ', first by @' + data.data[0].author;
+            } else if (data.stream === 'vote_cast') {
+                summary = data.data.length + ' vote(s) in block #' + data.block_number;
+            } else if (data.stream === 'chain_metrics') {
+                var minute = data.data.windows['1m'];
+                summary = minute.tps + ' TPS, ' + minute.ops_per_second + ' ops/sec, ' + minute.missed_slots + ' missed (1m)';
+            } else if (data.stream === 'witness_schedule') {
+                summary = Object.keys(data.data.witnesses).length + ' witnesses tracked since block #' + data.data.tracked_from_block;
             }
             
             addToFeed('📊 ' + data.stream.toUpperCase() + ': ' + summary, cssClass);
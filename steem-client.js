@@ -10,6 +10,13 @@ class SteemLiveClient {
         this.eventListeners = {};
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 5;
+        this.pendingRequests = new Map();
+        this.nextRequestId = 1;
+        this.requestTimeout = 15000;
+        this.streams = new Map(); // stream name -> { params, lastBlock } for resuming after a reconnect
+        this.resumableStreams = new Set(['block', 'irreversible_block', 'ops_in_block']); // The bridge only replays these with from_block
+        this.watchedAccounts = new Set();
+        this.hasConnected = false;
     }
     
     // Connect to WebSocket bridge
@@ -32,6 +39,7 @@ class SteemLiveClient {
             this.ws.onclose = () => {
                 console.log('❌ Disconnected from bridge');
                 this.isConnected = false;
+                this.rejectPendingRequests(new Error('Disconnected from bridge'));
                 this.emit('disconnected');
                 this.attemptReconnect();
             };
@@ -49,14 +57,20 @@ class SteemLiveClient {
     
     // Handle messages from bridge
     handleMessage(data) {
+        this.resolvePendingRequest(data);
+        
         switch (data.type) {
             case 'welcome':
+                if (this.hasConnected) this.resumeStreams();
+                this.hasConnected = true;
                 this.emit('ready', data);
                 break;
                 
             case 'live_data':
+                this.trackBlock(data);
                 this.emit('data', {
                     stream: data.stream,
+                    block_number: data.block_number,
                     data: data.data,
                     timestamp: data.timestamp
                 });
@@ -71,6 +85,26 @@ class SteemLiveClient {
                 this.emit('stream_stopped', data);
                 break;
                 
+            case 'replay_complete':
+                this.emit('replay_complete', data);
+                break;
+                
+            case 'account_activity':
+                this.emit('account_activity', data);
+                break;
+                
+            case 'tx_included':
+            case 'tx_irreversible':
+            case 'tx_expired':
+                this.emit(data.type, data);
+                break;
+                
+            case 'block_reverted':
+                // A micro-fork orphaned this block; its replacement follows as normal live_data
+                this.rewindBlock(data);
+                this.emit('block_reverted', data);
+                break;
+                
             case 'error':
                 this.emit('stream_error', data);
                 break;
@@ -80,30 +114,54 @@ class SteemLiveClient {
         }
     }
     
-    // Start streaming dynamic global properties
-    streamDynamicGlobalProperties() {
+    // Start any stream; it is resubscribed automatically after a reconnect
+    // filter (block streams only) e.g. { op_types: ['transfer'], accounts: ['alice'] }
+    startStream(streamName, params, filter) {
+        const stream = this.streams.get(streamName) || { lastBlock: 0 };
+        this.streams.set(streamName, { ...stream, params, filter });
         this.send({
             type: 'start_stream',
-            stream: 'dynamic_global_properties'
+            stream: streamName,
+            params,
+            filter
         });
     }
     
+    // Start streaming dynamic global properties
+    streamDynamicGlobalProperties() {
+        this.startStream('dynamic_global_properties');
+    }
+    
     // Start streaming block headers
     streamBlockHeaders() {
-        this.send({
-            type: 'start_stream',
-            stream: 'block_header'
-        });
+        this.startStream('block_header');
     }
     
     // Start streaming full blocks
     streamBlocks() {
-        this.send({
-            type: 'start_stream',
-            stream: 'block'
+        this.startStream('block');
+    }
+    
+    // Watch accounts for real and virtual operations, delivered as 'account_activity' events
+    subscribeAccount(accounts, timeout) {
+        const list = Array.isArray(accounts) ? accounts : [accounts];
+        return this.request('subscribe_account', { accounts: list }, timeout).then(reply => {
+            list.forEach(account => this.watchedAccounts.add(account.toLowerCase()));
+            return reply.accounts;
         });
     }
     
+    unsubscribeAccount(accounts, timeout) {
+        const list = Array.isArray(accounts) ? accounts : [accounts];
+        list.forEach(account => this.watchedAccounts.delete(account.toLowerCase()));
+        return this.request('unsubscribe_account', { accounts: list }, timeout).then(reply => reply.accounts);
+    }
+    
+    // Relay an already-signed transaction; follow up with the tx_included / tx_irreversible events
+    broadcastTransaction(signedTransaction, timeout) {
+        return this.request('broadcast_transaction', { transaction: signedTransaction }, timeout);
+    }
+    
     // Get current block number
     getCurrentBlock() {
         this.send({
@@ -113,12 +171,100 @@ class SteemLiveClient {
     
     // Stop a specific stream
     stopStream(streamName) {
+        const stream = this.streams.get(streamName);
+        this.streams.delete(streamName);
         this.send({
             type: 'stop_stream',
-            stream: streamName
+            stream: streamName,
+            params: stream && stream.params
         });
     }
     
+    // Send a message and resolve with the reply carrying the same id
+    // e.g. const reply = await client.request('get_current_block');
+    request(type, payload = {}, timeout = this.requestTimeout) {
+        return new Promise((resolve, reject) => {
+            if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+                reject(new Error('Not connected to bridge'));
+                return;
+            }
+            
+            const id = this.nextRequestId++;
+            const timer = setTimeout(() => {
+                this.pendingRequests.delete(id);
+                reject(new Error(`Request ${type} timed out after ${timeout}ms`));
+            }, timeout);
+            
+            this.pendingRequests.set(id, { resolve, reject, timer });
+            this.send({ ...payload, type, id });
+        });
+    }
+    
+    // Read-only JSON-RPC call through the bridge, resolves with the result
+    call(method, params = [], timeout) {
+        return this.request('rpc', { method, params }, timeout).then(reply => reply.result);
+    }
+    
+    // Look up a transaction, resolves with the transaction data
+    getTransaction(transactionId, timeout) {
+        return this.request('get_transaction', { transaction_id: transactionId }, timeout)
+            .then(reply => reply.data);
+    }
+    
+    resolvePendingRequest(data) {
+        if (data.id === undefined || !this.pendingRequests.has(data.id)) return;
+        
+        const { resolve, reject, timer } = this.pendingRequests.get(data.id);
+        clearTimeout(timer);
+        this.pendingRequests.delete(data.id);
+        
+        if (data.type === 'error' || data.type === 'rpc_error' || data.type === 'broadcast_error') {
+            const error = new Error(data.error || data.message);
+            error.reply = data;
+            reject(error);
+        } else {
+            resolve(data);
+        }
+    }
+    
+    rejectPendingRequests(error) {
+        this.pendingRequests.forEach(({ reject, timer }) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        this.pendingRequests.clear();
+    }
+    
+    // Remember the last block received on block streams so a reconnect can resume from it
+    // Content streams carry block_number too, but simply resubscribe live
+    trackBlock(data) {
+        if (!this.resumableStreams.has(data.stream)) return;
+        const stream = this.streams.get(data.stream);
+        if (stream && data.block_number > stream.lastBlock) {
+            stream.lastBlock = data.block_number;
+        }
+    }
+    
+    rewindBlock(data) {
+        const stream = this.streams.get(data.stream);
+        if (stream && stream.lastBlock >= data.block_number) {
+            stream.lastBlock = data.block_number - 1;
+        }
+    }
+    
+    // Resubscribe after a reconnect; block streams replay what was missed while offline
+    resumeStreams() {
+        this.streams.forEach((stream, streamName) => {
+            const message = { type: 'start_stream', stream: streamName, params: stream.params, filter: stream.filter };
+            if (stream.lastBlock) message.from_block = stream.lastBlock + 1;
+            this.send(message);
+        });
+        
+        if (this.watchedAccounts.size > 0) {
+            this.send({ type: 'subscribe_account', accounts: Array.from(this.watchedAccounts) });
+        }
+    }
+    
     // Send message to bridge
     send(data) {
         if (this.ws && this.ws.readyState === WebSocket.OPEN) {
@@ -177,6 +323,7 @@ class SteemLiveClient {
     }
     
     disconnect() {
+        this.rejectPendingRequests(new Error('Disconnected from bridge'));
         if (this.ws) {
             this.ws.close();
             this.ws = null;
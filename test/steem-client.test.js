@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const WebSocket = require('ws');
+
+// steem-client.js runs its usage example on load; without a WebSocket global that
+// example fails to connect and stays idle instead of dialing localhost:8080
+global.WebSocket = undefined;
+const SteemLiveClient = require('../steem-client');
+global.WebSocket = WebSocket;
+
+// Minimal stand-in for the bridge: greets each connection and records what the client sends
+function startFakeBridge(onMessage) {
+    const server = new WebSocket.Server({ host: '127.0.0.1', port: 0 });
+    let connections = 0;
+    server.on('connection', (socket) => {
+        const connection = ++connections;
+        socket.send(JSON.stringify({ type: 'welcome' }));
+        socket.on('message', (raw) => onMessage(socket, connection, JSON.parse(raw)));
+    });
+    return new Promise(resolve => server.on('listening', () => resolve(server)));
+}
+
+test('content streams resubscribe live after a reconnect, block streams resume from the next block', async () => {
+    const resumed = {};
+    let done;
+    const finished = new Promise(resolve => { done = resolve; });
+
+    const server = await startFakeBridge((socket, connection, message) => {
+        if (message.type !== 'start_stream') return;
+        if (connection === 2) {
+            resumed[message.stream] = message;
+            if (Object.keys(resumed).length === 2) done();
+            return;
+        }
+
+        socket.send(JSON.stringify({ type: 'live_data', stream: message.stream, block_number: 1005, data: {} }));
+        if (message.stream === 'block') socket.close();
+    });
+
+    const client = new SteemLiveClient(`ws://127.0.0.1:${server.address().port}`);
+    client.once('ready', () => {
+        client.startStream('content_created', undefined, { tags: ['steem'] });
+        client.streamBlocks();
+    });
+    client.connect();
+
+    try {
+        await finished;
+        assert.strictEqual(resumed.content_created.from_block, undefined);
+        assert.deepStrictEqual(resumed.content_created.filter, { tags: ['steem'] });
+        assert.strictEqual(resumed.block.from_block, 1006);
+    } finally {
+        client.maxReconnectAttempts = 0;
+        client.disconnect();
+        server.close();
+    }
+});